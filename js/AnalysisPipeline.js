@@ -0,0 +1,13 @@
+// AnalysisPipeline.js - Descriptor pipeline shared by the app and Node tooling
+
+// Sent to the analysis workers with 'init' and used by tools/batch-analyze.mjs.
+// Entries are merged by name into the registry in essentia.analysis.js
+// (energy, centroid, loudness, onsetRate, dynamicComplexity, danceability;
+// see DEFAULT_DESCRIPTORS there for the entry format). Add one here to
+// compute it for every file, or pass
+// { name, enabled: false } to drop one.
+const ANALYSIS_PIPELINE = {
+  descriptors: [
+    { name: 'flatness', algorithm: 'Flatness', input: 'spectrum', output: 'flatness', field: 'spectralFlatness' }
+  ]
+};
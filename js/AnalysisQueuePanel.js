@@ -0,0 +1,164 @@
+// AnalysisQueuePanel.js - Canvas panel listing queued analysis jobs
+
+class AnalysisQueuePanel {
+  constructor(workerManager, onReanalyzeAll, width = 240) {
+    this.workerManager = workerManager;
+    this.onReanalyzeAll = onReanalyzeAll; // Called by the "Re-analyze all" button
+    this.width = width;
+    this.rowHeight = 20;
+    this.headerHeight = 30;
+    this.maxRows = 8; // Jobs listed; the rest are summarised as "+N more"
+    this.x = 0;
+    this.y = 0;
+    this.rows = []; // Job rows drawn last frame, for click handling
+  }
+
+  // Draw in the top-right corner; collapses to a "Re-analyze all" button when idle
+  draw() {
+    const jobs = this.workerManager.getQueuedJobs();
+    const stats = this.workerManager.getPoolStats();
+    this.x = width - this.width - 20;
+    this.y = 20;
+    
+    if (jobs.length === 0 && !stats.paused) {
+      this.rows = [];
+      this.drawReanalyzeButton();
+      return;
+    }
+    
+    const shownJobs = jobs.slice(0, this.maxRows);
+    const hiddenCount = jobs.length - shownJobs.length;
+    const panelHeight = this.headerHeight + shownJobs.length * this.rowHeight + (hiddenCount > 0 ? this.rowHeight : 0) + 6;
+    
+    push();
+    translate(this.x, this.y);
+    
+    // Background
+    fill(colors.surface);
+    stroke(colors.primary);
+    strokeWeight(1);
+    rect(0, 0, this.width, panelHeight, 6);
+    
+    // Header with pause/resume toggle
+    noStroke();
+    fill(colors.text);
+    textAlign(LEFT);
+    textSize(12);
+    text(`Analysis queue (${jobs.length})`, 10, 19);
+    
+    fill(stats.paused ? colors.accent : colors.secondary);
+    rect(this.width - 70, 6, 60, 18, 4);
+    fill(colors.background);
+    textAlign(CENTER);
+    text(stats.paused ? 'Resume' : 'Pause', this.width - 40, 19);
+    
+    // Job rows: click a name to analyze it next, ✕ to cancel
+    this.rows = shownJobs.map((job, i) => ({ job, y: this.headerHeight + i * this.rowHeight }));
+    this.rows.forEach(row => {
+      const isHovered = this.isMouseInRow(row);
+      
+      if (isHovered) {
+        fill(colors.primary + '40');
+        rect(4, row.y, this.width - 8, this.rowHeight, 3);
+      }
+      
+      // Progress ring once the job reports progress, otherwise a state dot: loading/ready or waiting
+      if (row.job.progress) {
+        drawProgressRing(12, row.y + this.rowHeight / 2, 10, row.job.progress.fraction);
+        noStroke();
+      } else {
+        fill(row.job.state === 'running' ? colors.accent : (row.job.state === 'pending' ? colors.textMuted : colors.secondary));
+        circle(12, row.y + this.rowHeight / 2, 6);
+      }
+      
+      fill(row.job.priority > ANALYSIS_PRIORITY.BULK ? colors.primary : colors.text);
+      textAlign(LEFT);
+      textSize(11);
+      const displayName = row.job.fileName.length > 28 ? row.job.fileName.substring(0, 26) + '...' : row.job.fileName;
+      text(displayName, 22, row.y + 14);
+      
+      fill(colors.textMuted);
+      textAlign(CENTER);
+      text('✕', this.width - 14, row.y + 14);
+    });
+    
+    if (hiddenCount > 0) {
+      fill(colors.textMuted);
+      textAlign(LEFT);
+      textSize(11);
+      text(`+${hiddenCount} more`, 22, this.headerHeight + shownJobs.length * this.rowHeight + 14);
+    }
+    
+    pop();
+  }
+
+  drawReanalyzeButton() {
+    const isHovered = this.isMouseInReanalyzeButton();
+    
+    push();
+    translate(this.x, this.y);
+    fill(isHovered ? colors.primary : colors.surface);
+    stroke(colors.primary);
+    strokeWeight(1);
+    rect(this.width - 110, 0, 110, 24, 4);
+    
+    noStroke();
+    fill(colors.text);
+    textAlign(CENTER);
+    textSize(12);
+    text('Re-analyze all', this.width - 55, 16);
+    pop();
+    
+    if (isHovered) cursor(HAND);
+  }
+
+  isMouseInReanalyzeButton() {
+    const localX = mouseX - this.x;
+    const localY = mouseY - this.y;
+    return localX >= this.width - 110 && localX <= this.width && localY >= 0 && localY <= 24;
+  }
+
+  isMouseInRow(row) {
+    const localX = mouseX - this.x;
+    const localY = mouseY - this.y;
+    return localX >= 0 && localX <= this.width && localY >= row.y && localY < row.y + this.rowHeight;
+  }
+
+  // Handle mouse clicks; returns true if the click was on the panel
+  handleClick(mouseX, mouseY) {
+    const stats = this.workerManager.getPoolStats();
+    if (this.rows.length === 0 && !stats.paused) {
+      if (!this.isMouseInReanalyzeButton()) return false;
+      this.onReanalyzeAll();
+      return true;
+    }
+    
+    const localX = mouseX - this.x;
+    const localY = mouseY - this.y;
+    
+    // Pause/resume button
+    if (localY >= 6 && localY <= 24 && localX >= this.width - 70 && localX <= this.width - 10) {
+      if (stats.paused) {
+        this.workerManager.resume();
+      } else {
+        this.workerManager.pause();
+      }
+      return true;
+    }
+    
+    for (const row of this.rows) {
+      if (localY < row.y || localY >= row.y + this.rowHeight || localX < 0 || localX > this.width) continue;
+      
+      if (localX >= this.width - 26) {
+        this.workerManager.cancel(row.job.id);
+      } else {
+        this.workerManager.prioritize(row.job.id, ANALYSIS_PRIORITY.CLICKED);
+      }
+      return true;
+    }
+    
+    // Swallow clicks elsewhere on the panel background
+    const panelBottom = this.headerHeight + this.rows.length * this.rowHeight + this.rowHeight + 6;
+    return localX >= 0 && localX <= this.width && localY >= 0 && localY <= panelBottom;
+  }
+}
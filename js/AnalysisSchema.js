@@ -0,0 +1,183 @@
+// AnalysisSchema.js - Versioned schema and validator for analysis results
+//
+// ANALYSIS_SCHEMA_VERSION, FLAT_KEY_NAMES, estimateStructure and
+// generateMockAnalysis are defined in essentia.analysis.js, which produces
+// the results, and made global by index.html.
+
+const KEY_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+const STRUCTURE_LABELS = ['hook', 'verse', 'pre-chorus', 'chorus', 'outro'];
+
+// Where a field's value came from. analysis.provenance maps field names to
+// { source, error? }; error says why a fallback or mock was used.
+const PROVENANCE = {
+  MEASURED: 'measured',
+  FALLBACK: 'fallback', // Default substituted after the algorithm failed
+  MOCK: 'mock', // Random or hand-written, not analysed at all
+  USER_EDITED: 'user-edited'
+};
+
+// Top-level fields. Fields not listed here (summaries, descriptor registry
+// outputs) are passed through unchecked.
+const ANALYSIS_FIELDS = {
+  energy: { type: 'number', min: 0, max: 1, required: true, unit: 'mean frame RMS, normalized to 0-1' },
+  mood: { type: 'number', min: 0, max: 1, required: true, unit: 'mean spectral centroid, normalized to 0-1 (5 kHz = 1)' },
+  loudness: { type: 'number', min: 0, nullable: true, unit: 'mean Essentia Loudness (Stevens power law) of 2048-sample frames' },
+  integratedLoudness: { type: 'number', min: -70, max: 10, nullable: true, unit: 'EBU R128 integrated loudness, LUFS' },
+  loudnessRange: { type: 'number', min: 0, nullable: true, unit: 'EBU R128 loudness range, LU' },
+  truePeak: { type: 'number', min: -70, max: 20, nullable: true, unit: 'dBTP, 4x oversampled' },
+  key: { type: 'string', values: KEY_NAMES, required: true, unit: 'tonic, sharps only' },
+  scale: { type: 'string', values: ['major', 'minor'], required: true },
+  keyStrength: { type: 'number', min: 0, max: 1, nullable: true, unit: 'Key algorithm strength' },
+  keyTimeline: { type: 'array', nullable: true, unit: '[{ start, end (seconds), key, scale, strength }] of windowed keys' },
+  tempo: { type: 'number', min: 20, max: 320, required: true, unit: 'BPM' },
+  tuningFrequency: { type: 'number', min: 400, max: 480, nullable: true, unit: 'Hz of A4 the clip is tuned to' },
+  tuningCents: { type: 'number', min: -50, max: 50, nullable: true, unit: 'cents from A440' },
+  tuning: { type: 'object', nullable: true, unit: '{ frequency, cents, drift, detuned, drifting, resolution, series }' },
+  structure: { type: 'string', values: STRUCTURE_LABELS, required: true },
+  spectralFlatness: { type: 'number', min: 0, max: 1, nullable: true, unit: 'mean Flatness of frame spectra' },
+  inharmonicity: { type: 'number', min: 0, max: 1, nullable: true, unit: 'mean Inharmonicity of pitched frames' },
+  distortion: { type: 'number', min: 0, max: 1, nullable: true, unit: 'rough distortion amount, 0 clean to 1 square-wave clipping' },
+  onsetRate: { type: 'number', min: 0, nullable: true, unit: 'onsets per second' },
+  dynamicComplexity: { type: 'number', min: 0, nullable: true, unit: 'DynamicComplexity, mean loudness deviation in dB' },
+  danceability: { type: 'number', min: 0, nullable: true, unit: 'Danceability (DFA), usually 0-3' },
+  beatLoudness: { type: 'number', nullable: true, unit: 'mean BeatsLoudness energy of a beat, dB' },
+  beatBassRatio: { type: 'number', min: 0, max: 1, nullable: true, unit: 'share of beat energy in 20-150 Hz' },
+  duration: { type: 'number', min: 0, nullable: true, unit: 'seconds' },
+  sampleRate: { type: 'number', min: 1, nullable: true, unit: 'Hz of the analysed signal' },
+  stereo: { type: 'object', nullable: true },
+  summary: { type: 'object', nullable: true },
+  timeSeries: { type: 'object', nullable: true },
+  beats: { type: 'object', nullable: true },
+  chords: { type: 'object', nullable: true },
+  segments: { type: 'array', nullable: true },
+  loop: { type: 'object', nullable: true, unit: '{ bars, beats, start, end (seconds), repeats, similarity, candidates }' },
+  riffChroma: { type: 'array', nullable: true, unit: '[step][12] HPCP, 2 steps per beat from the loop start, each step max 1' },
+  notes: { type: 'array', nullable: true, unit: '[{ onset, duration (seconds), pitch (MIDI), velocity (1-127) }]' },
+  provenance: { type: 'object', required: true, unit: 'field name -> { source, error? }' }
+};
+
+// List what is wrong with an analysis; an empty list means it is valid
+function validateAnalysis(analysis) {
+  if (!analysis || typeof analysis !== 'object') return ['analysis is not an object'];
+
+  const errors = [];
+  if (analysis.schemaVersion !== ANALYSIS_SCHEMA_VERSION) {
+    errors.push(`schemaVersion is ${analysis.schemaVersion}, expected ${ANALYSIS_SCHEMA_VERSION}`);
+  }
+
+  for (const [name, field] of Object.entries(ANALYSIS_FIELDS)) {
+    const value = analysis[name];
+    if (value === undefined || value === null) {
+      if (field.required || (value === null && !field.nullable)) errors.push(`${name} is missing`);
+      continue;
+    }
+    
+    const type = Array.isArray(value) ? 'array' : typeof value;
+    if (type !== field.type || (type === 'number' && !Number.isFinite(value))) {
+      errors.push(`${name} should be a ${field.type}, got ${JSON.stringify(value)}`);
+    } else if (field.values && !field.values.includes(value)) {
+      errors.push(`${name} "${value}" is not one of ${field.values.join(', ')}`);
+    } else if ((field.min !== undefined && value < field.min) || (field.max !== undefined && value > field.max)) {
+      errors.push(`${name} ${value} is outside ${field.min} to ${field.max === undefined ? '∞' : field.max}`);
+    }
+  }
+
+  const sources = Object.values(PROVENANCE);
+  for (const [name, entry] of Object.entries(analysis.provenance || {})) {
+    if (!entry || !sources.includes(entry.source)) {
+      errors.push(`provenance of ${name} should be one of ${sources.join(', ')}`);
+    }
+  }
+  return errors;
+}
+
+// Bring an older result up to ANALYSIS_SCHEMA_VERSION; returns a new object
+function migrateAnalysis(analysis) {
+  const migrated = { ...analysis };
+  const version = migrated.schemaVersion || 1;
+
+  if (version < 2) {
+    // Flat key names (as Essentia's Key reports them) and missing key details
+    if (FLAT_KEY_NAMES[migrated.key]) migrated.key = FLAT_KEY_NAMES[migrated.key];
+    if (migrated.scale === undefined) migrated.scale = 'major';
+    if (migrated.keyStrength === undefined) migrated.keyStrength = null;
+    
+    // Loudness from the old main-thread analyzer (0-1) or mocks (dB) can't be
+    // converted to the frame loudness scale
+    if (typeof migrated.loudness === 'number' && (migrated.loudness < 0 || !migrated.summary)) {
+      migrated.loudness = null;
+    }
+    
+    // Unknown structure labels used to be assigned a random column
+    if (!STRUCTURE_LABELS.includes(migrated.structure) && typeof migrated.energy === 'number') {
+      migrated.structure = estimateStructure(migrated.energy);
+    }
+  }
+
+  if (version < 3) {
+    // Real analyses always had summaries, mocks never did; which real fields
+    // were fallbacks wasn't recorded
+    migrated.provenance = migrated.summary
+      ? fieldProvenance(migrated, PROVENANCE.MEASURED)
+      : fieldProvenance(migrated, PROVENANCE.MOCK, 'Analysed before provenance was recorded');
+  }
+
+  migrated.schemaVersion = ANALYSIS_SCHEMA_VERSION;
+  return migrated;
+}
+
+// Migrate if needed, then validate. Returns the usable analysis, or null
+// (with a warning naming source) when it can't be used.
+function checkAnalysis(analysis, source = 'analysis') {
+  if (!analysis || typeof analysis !== 'object') {
+    console.warn(`⚠️ Rejected ${source}: not an analysis object`);
+    return null;
+  }
+
+  if (analysis.schemaVersion > ANALYSIS_SCHEMA_VERSION) {
+    console.warn(`⚠️ Rejected ${source}: schema version ${analysis.schemaVersion} is newer than ${ANALYSIS_SCHEMA_VERSION}`);
+    return null;
+  }
+
+  const checked = analysis.schemaVersion === ANALYSIS_SCHEMA_VERSION ? analysis : migrateAnalysis(analysis);
+  const errors = validateAnalysis(checked);
+  if (errors.length > 0) {
+    console.warn(`⚠️ Rejected ${source}: ${errors.join('; ')}`);
+    return null;
+  }
+  return checked;
+}
+
+// Provenance entries with the same source for every schema field present in analysis
+function fieldProvenance(analysis, source, error = null) {
+  const provenance = {};
+  Object.keys(ANALYSIS_FIELDS).forEach(name => {
+    if (name === 'provenance' || analysis[name] === undefined || analysis[name] === null) return;
+    provenance[name] = error ? { source, error } : { source };
+  });
+  return provenance;
+}
+
+// Overall source of a clip's main fields (the ones the visual modes plot):
+// 'mock' if any is mocked, 'fallback' if any fell back, else 'measured'
+function analysisSource(analysis) {
+  const provenance = (analysis && analysis.provenance) || {};
+  const sources = ['energy', 'mood', 'key', 'scale', 'tempo', 'structure']
+    .map(name => provenance[name] ? provenance[name].source : PROVENANCE.MEASURED);
+  if (sources.includes(PROVENANCE.MOCK)) return PROVENANCE.MOCK;
+  if (sources.includes(PROVENANCE.FALLBACK)) return PROVENANCE.FALLBACK;
+  return PROVENANCE.MEASURED;
+}
+
+// "fallback (RhythmExtractor2013 failed: ...): tempo" lines for the fields
+// that aren't measured; fields with the same source and reason share a line
+function describeProvenance(analysis) {
+  const groups = new Map();
+  Object.entries((analysis && analysis.provenance) || {}).forEach(([name, entry]) => {
+    if (entry.source === PROVENANCE.MEASURED) return;
+    const description = `${entry.source}${entry.error ? ` (${entry.error})` : ''}`;
+    if (!groups.has(description)) groups.set(description, []);
+    groups.get(description).push(name);
+  });
+  return [...groups].map(([description, names]) => `${description}: ${names.join(', ')}`);
+}
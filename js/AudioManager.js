@@ -5,7 +5,16 @@ class AudioManager {
     this.audioFiles = [];
     this.currentPlayingAudio = null;
     this.loadedAudioObjects = new Map();
-    this.audioContext = null; // Will be initialized when needed
+    this.analysisSampleRate = 44100; // Fixed rate every file is decoded at for analysis
+    this.localDatasetPath = 'audio/'; // Offline fallback: audio files listed in audio/index.json
+    
+    // Loudness-normalized playback from the EBU R128 analysis
+    this.normalizeLoudness = false;
+    this.targetLoudness = -16; // LUFS
+    this.maxTruePeak = -1; // dBTP; normalization gain never pushes a clip's true peak above this
+    this.playbackContext = null; // Web Audio context for the gain, created the first time it's needed
+    this.playToken = 0; // Bumped whenever playback stops, so a loop still decoding doesn't start after it
+    this.loopBuffer = null; // { audioFile, decoded } promise of the one clip kept decoded for looping
   }
 
   // Load audio files from Hugging Face dataset
@@ -131,6 +140,14 @@ class AudioManager {
       
     } catch (error) {
       console.error('❌ Error loading audio dataset from Hugging Face:', error);
+      
+      // Fallback: audio files served next to the app, so it also works offline
+      const localFiles = await this.loadLocalDataset();
+      if (localFiles.length > 0) {
+        this.audioFiles = localFiles;
+        return this.audioFiles;
+      }
+      
       console.log('📦 Falling back to dummy data for demonstration...');
       
       // Fallback: create dummy data for testing
@@ -139,18 +156,62 @@ class AudioManager {
     }
   }
 
+  // Load audio files listed in <localDatasetPath>index.json, a JSON array of
+  // paths relative to that folder (e.g. ["2024-05-01/audio/jam.wav"]) or of
+  // { path, size } entries, as written by tools/batch-analyze.mjs --write-index
+  async loadLocalDataset() {
+    try {
+      const indexUrl = `${this.localDatasetPath}index.json`;
+      console.log(`🔄 Loading local audio dataset from ${indexUrl}...`);
+      
+      const response = await fetch(indexUrl);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+      
+      const entries = await response.json();
+      const audioFiles = entries.map((entry, index) => {
+        const path = typeof entry === 'string' ? entry : entry.path;
+        return {
+          id: index,
+          name: path.split('/').pop(),
+          url: `${this.localDatasetPath}${path}`,
+          path: path,
+          size: entry.size || 'Unknown',
+          duration: 0,
+          analysis: null,
+          audioElement: null,
+          isLoaded: false,
+          isPlaying: false,
+          currentTime: 0
+        };
+      });
+      
+      console.log(`🎵 Loaded ${audioFiles.length} local audio files`);
+      return audioFiles;
+      
+    } catch (error) {
+      console.warn('⚠️ No local audio dataset:', error.message);
+      return [];
+    }
+  }
+
   createDummyAudioData() {
     // Create dummy audio data for testing when dataset isn't available
-    return [
+    const dummyFiles = [
       {
         id: 0,
         name: 'guitar_sample_1.mp3',
         url: null, // Will be handled differently for dummy data
         duration: 120,
         analysis: {
+          schemaVersion: ANALYSIS_SCHEMA_VERSION,
           energy: 0.7,
           mood: 0.6,
+          loudness: 12,
           key: 'C',
+          scale: 'major',
+          keyStrength: 0.8,
           tempo: 120,
           structure: 'verse'
         },
@@ -164,9 +225,13 @@ class AudioManager {
         url: null,
         duration: 95,
         analysis: {
+          schemaVersion: ANALYSIS_SCHEMA_VERSION,
           energy: 0.8,
           mood: 0.3,
+          loudness: 15,
           key: 'G',
+          scale: 'minor',
+          keyStrength: 0.7,
           tempo: 140,
           structure: 'chorus'
         },
@@ -180,9 +245,13 @@ class AudioManager {
         url: null,
         duration: 180,
         analysis: {
+          schemaVersion: ANALYSIS_SCHEMA_VERSION,
           energy: 0.4,
           mood: 0.8,
+          loudness: 6,
           key: 'F',
+          scale: 'major',
+          keyStrength: 0.6,
           tempo: 90,
           structure: 'hook'
         },
@@ -196,9 +265,13 @@ class AudioManager {
         url: null,
         duration: 156,
         analysis: {
+          schemaVersion: ANALYSIS_SCHEMA_VERSION,
           energy: 0.6,
           mood: 0.5,
+          loudness: 10,
           key: 'D',
+          scale: 'minor',
+          keyStrength: 0.75,
           tempo: 110,
           structure: 'pre-chorus'
         },
@@ -212,9 +285,13 @@ class AudioManager {
         url: null,
         duration: 203,
         analysis: {
+          schemaVersion: ANALYSIS_SCHEMA_VERSION,
           energy: 0.2,
           mood: 0.7,
+          loudness: 3,
           key: 'A',
+          scale: 'minor',
+          keyStrength: 0.65,
           tempo: 75,
           structure: 'outro'
         },
@@ -223,6 +300,13 @@ class AudioManager {
         currentTime: 0
       }
     ];
+    
+    // Hand-written analyses go through the same schema check as real ones
+    dummyFiles.forEach(file => {
+      file.analysis.provenance = fieldProvenance(file.analysis, PROVENANCE.MOCK, 'Dummy data, no audio loaded');
+      file.analysis = checkAnalysis(file.analysis, `dummy analysis of ${file.name}`);
+    });
+    return dummyFiles;
   }
 
   // Load and analyze audio file
@@ -265,6 +349,8 @@ class AudioManager {
   }
 
   // Load audio buffer for analysis with Essentia
+  // Returns { channels, sampleRate } with up to two channels at analysisSampleRate;
+  // the worker measures the stereo image and loudness, then downmixes to mono
   async loadAudioBuffer(audioFile) {
     try {
       console.log(`Loading audio buffer for analysis: ${audioFile.name}`);
@@ -273,19 +359,24 @@ class AudioManager {
       const response = await fetch(audioFile.url);
       const arrayBuffer = await response.arrayBuffer();
       
-      // Create audio context if not exists
-      if (!this.audioContext) {
-        this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
-      }
-      
-      // Decode audio data
-      const audioBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
+      // Decode through an OfflineAudioContext so the data is resampled to the
+      // analysis rate regardless of the hardware's default rate
+      const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+      const decodeContext = new OfflineContext(1, 1, this.analysisSampleRate);
+      const audioBuffer = await decodeContext.decodeAudioData(arrayBuffer);
       
-      // Convert to mono and get channel data
-      const channelData = audioBuffer.getChannelData(0);
+      // Copy the channels (never views of the AudioBuffer's own storage, since
+      // they get transferred to the worker)
+      const channelCount = Math.min(audioBuffer.numberOfChannels, 2);
+      const channels = [];
+      for (let c = 0; c < channelCount; c++) {
+        channels.push(audioBuffer.getChannelData(c).slice());
+      }
       
-      // Convert Float32Array to regular array for Essentia
-      return Array.from(channelData);
+      return {
+        channels: channels,
+        sampleRate: audioBuffer.sampleRate
+      };
       
     } catch (error) {
       console.error(`Error loading audio buffer for ${audioFile.name}:`, error);
@@ -303,6 +394,7 @@ class AudioManager {
     }
     
     if (audioFile.audioElement) {
+      this.applyPlaybackGain(audioFile);
       audioFile.audioElement.play();
       audioFile.isPlaying = true;
       this.currentPlayingAudio = audioFile;
@@ -324,19 +416,148 @@ class AudioManager {
     }
   }
 
+  // Loop [start, end) seconds of a clip until paused. Uses a Web Audio buffer
+  // source, which loops sample-accurately; the audio element's timeupdate
+  // events are far too coarse to loop on.
+  async playLoop(audioFile, start, end) {
+    this.stopAll(audioFile);
+    if (!audioFile.url) return;
+    const token = this.playToken;
+    
+    try {
+      const context = this.getPlaybackContext();
+      const buffer = await this.loadLoopBuffer(audioFile);
+      if (token !== this.playToken) return; // Paused or another clip started during the decode
+      
+      const source = context.createBufferSource();
+      source.buffer = buffer;
+      source.loop = true;
+      source.loopStart = start;
+      source.loopEnd = end;
+      audioFile.loopGain = context.createGain();
+      audioFile.loopGain.gain.value = Math.pow(10, this.getNormalizationGain(audioFile) / 20);
+      source.connect(audioFile.loopGain).connect(context.destination);
+      source.start(0, start);
+      
+      audioFile.loopSource = source;
+      audioFile.loopRegion = { start, end, startedAt: context.currentTime };
+      audioFile.isPlaying = true;
+      audioFile.currentTime = start;
+      this.currentPlayingAudio = audioFile;
+      console.log(`🔁 Looping ${audioFile.name} from ${start.toFixed(2)}s to ${end.toFixed(2)}s`);
+    } catch (error) {
+      console.error(`Error looping ${audioFile.name}:`, error);
+    }
+  }
+
+  // The clip decoded for looping. Only the clip looped last stays decoded
+  // (an hour of stereo is over a gigabyte), so looping it again doesn't fetch
+  // and decode it again; a failed decode is forgotten so the next loop retries.
+  loadLoopBuffer(audioFile) {
+    if (!this.loopBuffer || this.loopBuffer.audioFile !== audioFile) {
+      const loopBuffer = { audioFile, decoded: null };
+      loopBuffer.decoded = fetch(audioFile.url)
+        .then(response => response.arrayBuffer())
+        .then(arrayBuffer => this.getPlaybackContext().decodeAudioData(arrayBuffer))
+        .catch(error => {
+          if (this.loopBuffer === loopBuffer) this.loopBuffer = null;
+          throw error;
+        });
+      this.loopBuffer = loopBuffer;
+    }
+    return this.loopBuffer.decoded;
+  }
+
+  // Playhead of a looping clip, to call every frame (the buffer source has
+  // no timeupdate events)
+  updateLoopTime(audioFile) {
+    const region = audioFile.loopRegion;
+    if (!audioFile.loopSource || !region) return;
+    
+    const elapsed = this.playbackContext.currentTime - region.startedAt;
+    audioFile.currentTime = region.start + elapsed % (region.end - region.start);
+  }
+
+  getPlaybackContext() {
+    if (!this.playbackContext) {
+      const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+      this.playbackContext = new AudioContextClass();
+    }
+    if (this.playbackContext.state === 'suspended') {
+      this.playbackContext.resume();
+    }
+    return this.playbackContext;
+  }
+
+  // Gain in dB that brings a clip to targetLoudness, limited by its true peak;
+  // 0 when normalization is off or the clip has no EBU R128 analysis
+  getNormalizationGain(audioFile) {
+    const analysis = audioFile.analysis;
+    if (!this.normalizeLoudness || !analysis || typeof analysis.integratedLoudness !== 'number') return 0;
+    
+    let gain = this.targetLoudness - analysis.integratedLoudness;
+    if (typeof analysis.truePeak === 'number') {
+      gain = Math.min(gain, this.maxTruePeak - analysis.truePeak);
+    }
+    return gain;
+  }
+
+  // Set the clip's playback gain. The audio element is routed through a Web
+  // Audio GainNode (element volume can't go above 1) once normalization is
+  // first used; until then it plays untouched.
+  applyPlaybackGain(audioFile) {
+    if (audioFile.loopGain) {
+      audioFile.loopGain.gain.value = Math.pow(10, this.getNormalizationGain(audioFile) / 20);
+    }
+    if (!audioFile.audioElement || (!audioFile.gainNode && !this.normalizeLoudness)) return;
+    
+    try {
+      const context = this.getPlaybackContext();
+      if (!audioFile.gainNode) {
+        const source = context.createMediaElementSource(audioFile.audioElement);
+        audioFile.gainNode = context.createGain();
+        source.connect(audioFile.gainNode).connect(context.destination);
+      }
+      audioFile.gainNode.gain.value = Math.pow(10, this.getNormalizationGain(audioFile) / 20);
+    } catch (error) {
+      console.warn(`⚠️ Could not set playback gain for ${audioFile.name}:`, error);
+    }
+  }
+
+  // Turn loudness-normalized playback on or off, including for the playing clip
+  setLoudnessNormalization(enabled) {
+    this.normalizeLoudness = enabled;
+    console.log(enabled ? `🔊 Normalizing playback to ${this.targetLoudness} LUFS` : '🔊 Playing clips at recorded loudness');
+    if (this.currentPlayingAudio) {
+      this.applyPlaybackGain(this.currentPlayingAudio);
+    }
+  }
+
   // Pause audio
   pauseAudio(audioFile) {
+    this.playToken++;
     if (audioFile.audioElement) {
       audioFile.audioElement.pause();
     }
+    if (audioFile.loopSource) {
+      audioFile.loopSource.stop();
+      audioFile.loopSource = null;
+      audioFile.loopGain = null;
+      audioFile.loopRegion = null;
+    }
     audioFile.isPlaying = false;
     if (this.currentPlayingAudio === audioFile) {
       this.currentPlayingAudio = null;
     }
   }
 
-  // Stop all audio
-  stopAll() {
+  // Stop all audio. The decoded loop buffer is dropped too, unless it is
+  // loopClip's, which is about to loop again.
+  stopAll(loopClip = null) {
+    this.playToken++;
+    if (this.loopBuffer && this.loopBuffer.audioFile !== loopClip) {
+      this.loopBuffer = null;
+    }
     this.audioFiles.forEach(audioFile => {
       if (audioFile.isPlaying) {
         this.pauseAudio(audioFile);
@@ -349,8 +570,11 @@ class AudioManager {
     this.currentPlayingAudio = null;
   }
 
-  // Seek to specific time
+  // Seek to specific time (ends a loop)
   seekTo(audioFile, time) {
+    if (audioFile.loopSource) {
+      this.pauseAudio(audioFile);
+    }
     if (audioFile.audioElement) {
       audioFile.audioElement.currentTime = time;
       audioFile.currentTime = time;
@@ -11,6 +11,7 @@ class AudioPlayerUI {
     this.minimized = true; // Start minimized
     this.minimizedRadius = 25; // Size of minimized circle
     this.isStartingPlayback = false; // Flag to prevent minimizing during playback start
+    this.snapToBars = false; // Snap progress bar seeks to the nearest downbeat
   }
 
   // Draw the audio player UI
@@ -19,6 +20,7 @@ class AudioPlayerUI {
     if (this.isStartingPlayback && audioFile.isPlaying) {
       this.isStartingPlayback = false;
     }
+    this.audioManager.updateLoopTime(audioFile);
     
     push();
     translate(this.x, this.y);
@@ -35,13 +37,47 @@ class AudioPlayerUI {
   // Draw minimized circle version
   drawMinimized(audioFile) {
     const radius = this.minimizedRadius;
+    const source = analysisSource(audioFile.analysis);
     
-    // Circle background
-    fill(this.isHovered ? colors.primary : colors.surface);
-    stroke(audioFile.isPlaying ? colors.accent : colors.primary);
+    // Circle background: hollow for mock analyses, greyed when a plotted
+    // field fell back to a default
+    if (source === PROVENANCE.MOCK) {
+      noFill();
+    } else if (source === PROVENANCE.FALLBACK) {
+      fill(this.isHovered ? colors.textMuted : colors.background);
+    } else {
+      fill(this.isHovered ? colors.primary : colors.surface);
+    }
+    stroke(audioFile.isPlaying ? colors.accent : (source === PROVENANCE.MEASURED ? colors.primary : colors.textMuted));
     strokeWeight(audioFile.isPlaying ? 3 : 2);
     circle(0, 0, radius * 2);
     
+    // Timbre class as an inner ring, thicker once the class is labelled
+    const timbre = timbreClassifier.classify(audioFile);
+    if (timbre) {
+      noFill();
+      stroke(TIMBRE_CLASS_COLORS[timbre.label]);
+      strokeWeight(timbre.source === 'labelled' ? 3 : 1.5);
+      circle(0, 0, radius * 2 - 8);
+    }
+    
+    // Flag for clips that are off A440 or drift (~)
+    const tuning = audioFile.analysis && audioFile.analysis.tuning;
+    if (tuning && (tuning.detuned || tuning.drifting)) {
+      noStroke();
+      fill(colors.primary);
+      circle(radius * 0.75, -radius * 0.75, 12);
+      fill(colors.background);
+      textAlign(CENTER);
+      textSize(9);
+      text(tuning.drifting ? '~' : '¢', radius * 0.75, -radius * 0.75 + 3);
+    }
+    
+    // Ring around the clip while it is being (re-)analysed
+    if (audioFile.analysisProgress) {
+      drawProgressRing(0, 0, radius * 2 + 8, audioFile.analysisProgress.fraction);
+    }
+    
     // Play/pause icon in center
     fill(colors.text);
     noStroke();
@@ -84,6 +120,11 @@ class AudioPlayerUI {
     textSize(12);
     text(audioFile.name, 10, 20);
     
+    // Re-analysis progress next to the time display
+    if (audioFile.analysisProgress) {
+      drawProgressRing(this.width - 100, 16, 12, audioFile.analysisProgress.fraction);
+    }
+    
     // Time display
     const currentTimeStr = this.audioManager.formatTime(audioFile.currentTime);
     const durationStr = this.audioManager.formatTime(audioFile.duration);
@@ -100,13 +141,148 @@ class AudioPlayerUI {
     noStroke();
     rect(10, progressBarY, progressBarWidth, progressBarHeight, 2);
     
+    // Detected loop region
+    const loop = audioFile.analysis && audioFile.analysis.loop;
+    if (loop && audioFile.duration > 0) {
+      const loopColor = color(colors.accent);
+      loopColor.setAlpha(audioFile.loopSource ? 120 : 50);
+      fill(loopColor);
+      rect(10 + progressBarWidth * loop.start / audioFile.duration, progressBarY - 2, progressBarWidth * (loop.end - loop.start) / audioFile.duration, progressBarHeight + 4);
+    }
+    
     // Progress
     const progress = audioFile.duration > 0 ? audioFile.currentTime / audioFile.duration : 0;
     fill(audioFile.isPlaying ? colors.accent : colors.primary);
     rect(10, progressBarY, progressBarWidth * progress, progressBarHeight, 2);
     
+    // Beat and bar ticks
+    this.drawBeatGrid(audioFile, 10, progressBarY, progressBarWidth, progressBarHeight);
+    
+    // Short-term loudness under the ticks
+    this.drawLoudnessCurve(audioFile, 10, 39, progressBarWidth, 5);
+    
     // Control buttons
     this.drawControlButtons(audioFile);
+    
+    // Chord under the playhead, with the clip's most common progression
+    const chord = this.chordAt(audioFile, audioFile.currentTime);
+    if (chord) {
+      fill(colors.accent);
+      textAlign(RIGHT);
+      textSize(16);
+      text(chord, this.width - 10, 62);
+      
+      const progression = audioFile.analysis.chords.progression;
+      if (progression && progression.chords.length > 0) {
+        fill(colors.textMuted);
+        textSize(10);
+        text(progression.chords.join(' – '), this.width - 10, 74);
+      }
+    }
+    
+    // Under the panel: EBU R128 loudness (with the gain applied when playback
+    // is normalized), tuning, the keys of modulating clips, other clips with
+    // the same riff, its song candidate, then the fields that weren't
+    // measured, and why
+    const detailLines = describeProvenance(audioFile.analysis);
+    const analysis = audioFile.analysis;
+    const membership = songClusterer.getMembership(audioFile);
+    if (membership && membership.cluster.label) {
+      const byHand = membership.source === PROVENANCE.USER_EDITED ? ', set by hand' : '';
+      detailLines.unshift(`${membership.cluster.label} (${membership.cluster.keys.length} clips) · ${Math.round(membership.confidence * 100)}% sure${byHand}`);
+    }
+    const matches = riffMatcher.getMatches(audioFile);
+    if (matches.length > 0) {
+      const names = matches.slice(0, 2).map(match => match.fileName.replace(/\.[^.]+$/, ''));
+      detailLines.unshift(`Same riff: ${names.join(', ')}${matches.length > 2 ? ` (+${matches.length - 2})` : ''}`);
+    }
+    const keys = getSignificantKeys(analysis);
+    if (keys.length > 1) {
+      detailLines.unshift(`Keys: ${keys.map(entry => `${entry.key} ${Math.round(entry.share * 100)}%`).join(' · ')}`);
+    }
+    if (analysis && analysis.tuning) {
+      const tuning = analysis.tuning;
+      const flags = [tuning.detuned ? 'detuned' : null, tuning.drifting ? 'drifting' : null].filter(Boolean);
+      detailLines.unshift(`A4 = ${tuning.frequency.toFixed(1)} Hz (${tuning.cents >= 0 ? '+' : ''}${tuning.cents.toFixed(0)}¢) · drift ${tuning.drift.toFixed(0)}¢${flags.length > 0 ? ` · ${flags.join(', ')}` : ''}`);
+    }
+    if (analysis && typeof analysis.integratedLoudness === 'number') {
+      let loudnessLine = `${analysis.integratedLoudness.toFixed(1)} LUFS · LRA ${analysis.loudnessRange.toFixed(1)} LU · TP ${analysis.truePeak.toFixed(1)} dBTP`;
+      if (this.audioManager.normalizeLoudness) {
+        const gain = this.audioManager.getNormalizationGain(audioFile);
+        loudnessLine += ` · ${gain >= 0 ? '+' : ''}${gain.toFixed(1)} dB`;
+      }
+      detailLines.unshift(loudnessLine);
+    }
+    if (detailLines.length > 0) {
+      fill(colors.textMuted);
+      noStroke();
+      textAlign(LEFT);
+      textSize(10);
+      detailLines.forEach((line, i) => {
+        text(line.length > 52 ? line.substring(0, 50) + '...' : line, 4, this.height + 14 + i * 12);
+      });
+    }
+  }
+
+  // Sparkline of the short-term loudness time series, -40 to 0 LUFS
+  drawLoudnessCurve(audioFile, curveX, curveY, curveWidth, curveHeight) {
+    const timeSeries = audioFile.analysis && audioFile.analysis.timeSeries;
+    const values = timeSeries && timeSeries.shortTermLoudness;
+    if (!values || values.length < 2) return;
+    
+    noFill();
+    stroke(colors.secondary);
+    strokeWeight(1);
+    beginShape();
+    values.forEach((value, i) => {
+      const level = constrain((value + 40) / 40, 0, 1);
+      vertex(curveX + i / (values.length - 1) * curveWidth, curveY + curveHeight * (1 - level));
+    });
+    endShape();
+  }
+
+  // Find the detected chord at a time, or null without chord analysis
+  chordAt(audioFile, time) {
+    const chords = audioFile.analysis && audioFile.analysis.chords;
+    if (!chords || chords.sequence.length === 0) return null;
+    
+    const span = chords.sequence.find(candidate => time >= candidate.start && time < candidate.end);
+    return span ? span.chord : null;
+  }
+
+  // Draw beat ticks (below the bar) and bar ticks (across it) from the analysis beat grid
+  drawBeatGrid(audioFile, barX, barY, barWidth, barHeight) {
+    const beats = audioFile.analysis && audioFile.analysis.beats;
+    if (!beats || !audioFile.duration) return;
+    
+    const pixelsPerSecond = barWidth / audioFile.duration;
+    const minTickSpacing = 3; // Skip ticks that would merge into a solid block
+    
+    // Beat ticks, faded by beat tracking confidence
+    const beatInterval = beats.times.length > 1 ? (beats.times[beats.times.length - 1] - beats.times[0]) / (beats.times.length - 1) : 0;
+    if (beatInterval * pixelsPerSecond >= minTickSpacing) {
+      const beatColor = color(colors.textMuted);
+      beatColor.setAlpha(80 + 175 * beats.confidence);
+      stroke(beatColor);
+      strokeWeight(1);
+      beats.times.forEach(time => {
+        if (time > audioFile.duration) return;
+        const x = barX + time * pixelsPerSecond;
+        line(x, barY + barHeight + 1, x, barY + barHeight + 3);
+      });
+    }
+    
+    // Bar ticks
+    if (beatInterval * beats.beatsPerBar * pixelsPerSecond >= minTickSpacing) {
+      stroke(this.snapToBars ? colors.accent : colors.secondary);
+      strokeWeight(1);
+      beats.downbeats.forEach(time => {
+        if (time > audioFile.duration) return;
+        const x = barX + time * pixelsPerSecond;
+        line(x, barY - 3, x, barY + barHeight + 3);
+      });
+    }
+    noStroke();
   }
 
   drawControlButtons(audioFile) {
@@ -137,6 +313,55 @@ class AudioPlayerUI {
     triangle(restartButtonX, buttonY + 10, 
              restartButtonX + 6, buttonY + 6, 
              restartButtonX + 6, buttonY + 14);
+    
+    // Snap-to-bar toggle (only when a beat grid is available)
+    if (audioFile.analysis && audioFile.analysis.beats) {
+      const snapButtonX = restartButtonX + buttonSpacing;
+      fill(this.snapToBars ? colors.accent : colors.textMuted);
+      rect(snapButtonX + 3, buttonY + 4, 2, 12);
+      rect(snapButtonX + 9, buttonY + 7, 2, 9);
+      rect(snapButtonX + 15, buttonY + 4, 2, 12);
+    }
+    
+    // Loudness-normalization toggle (only when the clip has EBU R128 loudness)
+    if (audioFile.analysis && typeof audioFile.analysis.integratedLoudness === 'number') {
+      const normalizeButtonX = playButtonX + buttonSpacing * 3;
+      fill(this.audioManager.normalizeLoudness ? colors.accent : colors.textMuted);
+      textAlign(LEFT);
+      textSize(10);
+      text(`${this.audioManager.targetLoudness} LUFS`, normalizeButtonX, buttonY + 14);
+    }
+    
+    // MIDI download of the transcribed notes (only when there are some)
+    if (this.hasNotes(audioFile)) {
+      const midiButtonX = playButtonX + buttonSpacing * 5;
+      fill(colors.secondary);
+      textAlign(LEFT);
+      textSize(10);
+      text('MIDI', midiButtonX, buttonY + 14);
+    }
+    
+    // Second row, under the chord: play detected loop (only for real clips
+    // with a loop) and the timbre class
+    const rowY = buttonY + 35;
+    if (this.hasLoop(audioFile)) {
+      const loop = audioFile.analysis.loop;
+      fill(audioFile.loopSource ? colors.accent : colors.secondary);
+      textAlign(LEFT);
+      textSize(10);
+      text(`⟲ Loop ${loop.bars} bar${loop.bars > 1 ? 's' : ''} ×${loop.repeats}`, playButtonX, rowY + 4);
+    }
+    
+    // Timbre class: click to label the clip (✓) and train the classifier
+    const timbre = timbreClassifier.classify(audioFile);
+    if (timbre) {
+      const timbreButtonX = playButtonX + buttonSpacing * 6;
+      fill(TIMBRE_CLASS_COLORS[timbre.label]);
+      circle(timbreButtonX + 4, rowY, 8);
+      textAlign(LEFT);
+      textSize(10);
+      text(`${timbre.label}${timbre.source === 'labelled' ? ' ✓' : '?'}`, timbreButtonX + 12, rowY + 4);
+    }
   }
 
   // Check if mouse is over this UI element
@@ -173,7 +398,10 @@ class AudioPlayerUI {
     // Check progress bar click (scrubbing)
     if (localY >= 30 && localY <= 34 && localX >= 10 && localX <= this.width - 10) {
       const progress = (localX - 10) / (this.width - 20);
-      const seekTime = progress * audioFile.duration;
+      let seekTime = progress * audioFile.duration;
+      if (this.snapToBars) {
+        seekTime = this.nearestBarTime(audioFile, seekTime);
+      }
       this.audioManager.seekTo(audioFile, seekTime);
       return true;
     }
@@ -197,9 +425,61 @@ class AudioPlayerUI {
       return true;
     }
     
+    // Check snap-to-bar toggle
+    if (localY >= 45 && localY <= 65 && localX >= 70 && localX <= 90 && audioFile.analysis && audioFile.analysis.beats) {
+      this.snapToBars = !this.snapToBars;
+      return true;
+    }
+    
+    // Check loudness-normalization toggle
+    if (localY >= 45 && localY <= 65 && localX >= 100 && localX <= 145 && audioFile.analysis && typeof audioFile.analysis.integratedLoudness === 'number') {
+      this.audioManager.setLoudnessNormalization(!this.audioManager.normalizeLoudness);
+      return true;
+    }
+    
+    // Check MIDI download button
+    if (localY >= 45 && localY <= 65 && localX >= 160 && localX <= 185 && this.hasNotes(audioFile)) {
+      downloadNotesAsMidi(audioFile);
+      return true;
+    }
+    
+    // Check play detected loop button (stops the loop when it is playing)
+    if (localY >= 72 && localY <= 88 && localX >= 10 && localX <= 110 && this.hasLoop(audioFile)) {
+      if (audioFile.loopSource) {
+        this.audioManager.pauseAudio(audioFile);
+      } else {
+        this.audioManager.playLoop(audioFile, audioFile.analysis.loop.start, audioFile.analysis.loop.end);
+      }
+      return true;
+    }
+    
+    // Check timbre label button
+    if (localY >= 72 && localY <= 88 && localX >= 190 && localX <= 270 && timbreClassifier.classify(audioFile)) {
+      timbreClassifier.cycleLabel(audioFile);
+      return true;
+    }
+    
     return false;
   }
 
+  hasLoop(audioFile) {
+    return Boolean(audioFile.url && audioFile.analysis && audioFile.analysis.loop);
+  }
+
+  hasNotes(audioFile) {
+    return Boolean(audioFile.analysis && audioFile.analysis.notes && audioFile.analysis.notes.length > 0);
+  }
+
+  // Find the downbeat closest to a time, or the time itself without a beat grid
+  nearestBarTime(audioFile, time) {
+    const beats = audioFile.analysis && audioFile.analysis.beats;
+    if (!beats || beats.downbeats.length === 0) return time;
+    
+    return beats.downbeats.reduce((nearest, barTime) => 
+      Math.abs(barTime - time) < Math.abs(nearest - time) ? barTime : nearest
+    );
+  }
+
   // Start playback asynchronously
   async startPlayback(audioFile) {
     try {
@@ -3,14 +3,30 @@
 class CacheManager {
   constructor() {
     this.storageKey = 'essentiaSketch_audioAnalysis';
-    this.maxCacheSize = 500; // Maximum number of files to cache
+    this.maxStorageSize = 4.5 * 1024 * 1024; // Characters stored, leaving some of localStorage's ~5M for the rest
+    this.entrySizes = new WeakMap(); // Serialized length by entry, so saving doesn't serialize every entry twice
+    this.stats = null; // getCacheStats() result, recomputed after the next save (it serializes the whole cache)
     
     // === VERSION CONTROL ===
     // Increment this version number to force cache invalidation and re-analysis
     // Version history:
     // - '1.0': Initial implementation with traditional MIR
     // - '2.0': ML-based mood analysis (Mood Happy/Sad/Aggressive models)
-    this.cacheVersion = '3.0';
+    // - '4.0': Whole-file frame-based analysis with time series and summaries
+    // - '5.0': Section segmentation replaces the random structure label
+    // - '6.0': Beat grid and downbeats from RhythmExtractor2013
+    // - '7.0': Beat-aligned chord sequence and progression summary
+    // - '8.0': Fixed-rate decoding, true mono downmix and stereo image
+    // - '9.0': Descriptor registry; spectral flatness summary and time series
+    // - '10.0': EBU R128 loudness, loudness range, short-term curve and true peak
+    // - '11.0': Tuning reference and drift; HPCP, key and chords use the detected reference
+    // - '12.0': Onset rate, dynamic complexity, danceability and beat loudness
+    // - '13.0': Note list from pitch tracking
+    // - '14.0': Windowed key timeline
+    // - '15.0': MFCC statistics, spectral contrast, inharmonicity and distortion
+    // - '16.0': Riff loop detection on the beat grid
+    // - '17.0': Beat-synchronous riff chroma for cross-clip riff matching
+    this.cacheVersion = '17.0';
     
     // Load cache AFTER version is set
     this.cache = this.loadCache();
@@ -34,6 +50,13 @@ class CacheManager {
         this.clearCache();
         return { version: this.cacheVersion, data: {} };
       }
+      
+      // Entries from before the analysis schema are migrated, broken ones dropped
+      const checked = this.checkEntries(parsed.data);
+      parsed.data = checked.data;
+      if (checked.changed) {
+        localStorage.setItem(this.storageKey, JSON.stringify(parsed));
+      }
 
       console.log(`📦 Loaded cache with ${Object.keys(parsed.data).length} entries`);
       return parsed;
@@ -44,28 +67,20 @@ class CacheManager {
     }
   }
 
-  // Save cache to localStorage
+  // Save cache to localStorage. Entries merged from the precomputed batch
+  // file are fetched again on every start-up, so only the others are stored,
+  // as many of the most recently used as fit in maxStorageSize
   saveCache() {
+    this.stats = null;
     try {
-      const serialized = JSON.stringify(this.cache);
-      
-      // Check if storage quota would be exceeded
-      const estimatedSize = new Blob([serialized]).size;
-      if (estimatedSize > 4.5 * 1024 * 1024) { // 4.5MB limit (leave some buffer)
-        console.warn('⚠️ Cache size approaching localStorage limit, pruning old entries');
-        this.pruneCache();
-      }
-      
-      localStorage.setItem(this.storageKey, serialized);
-      console.log(`💾 Saved cache with ${Object.keys(this.cache.data).length} entries`);
+      this.writeCache(this.maxStorageSize);
       
     } catch (error) {
       if (error.name === 'QuotaExceededError') {
-        console.error('❌ localStorage quota exceeded, pruning cache');
-        this.pruneCache();
-        // Try saving again after pruning
+        console.error('❌ localStorage quota exceeded, storing fewer entries');
+        // Other keys share the quota; try again with half the room
         try {
-          localStorage.setItem(this.storageKey, JSON.stringify(this.cache));
+          this.writeCache(this.maxStorageSize / 2);
         } catch (e) {
           console.error('❌ Still cannot save after pruning:', e);
         }
@@ -75,6 +90,27 @@ class CacheManager {
     }
   }
 
+  writeCache(maxSize) {
+    const data = this.pruneCache(maxSize);
+    localStorage.setItem(this.storageKey, JSON.stringify({ version: this.cacheVersion, data }));
+    console.log(`💾 Saved cache with ${Object.keys(data).length} entries`);
+  }
+
+  // Run every entry's analysis through checkAnalysis (AnalysisSchema.js);
+  // changed is true if any entry was migrated or dropped
+  checkEntries(data) {
+    const checked = {};
+    let changed = false;
+    
+    for (const [key, entry] of Object.entries(data || {})) {
+      const analysis = entry && checkAnalysis(entry.analysis, `cached analysis of ${entry.fileName || key}`);
+      if (analysis) checked[key] = analysis === entry.analysis ? entry : { ...entry, analysis };
+      if (!analysis || analysis !== entry.analysis) changed = true;
+    }
+    
+    return { data: checked, changed };
+  }
+
   // Generate a unique key for an audio file
   generateFileKey(audioFile) {
     // Use the file path as the primary identifier, plus size as validation
@@ -103,6 +139,27 @@ class CacheManager {
     return null;
   }
 
+  // Every cached entry by file key, including files not loaded this session
+  getCachedEntries() {
+    return this.cache.data;
+  }
+
+  // Attach data derived from the analyses (e.g. SimilarityIndex feature
+  // vectors) to the cached entries. update(entry) returns true when it
+  // changed the entry; returns how many changed, saving if any did.
+  annotateEntries(update) {
+    let changed = 0;
+    Object.values(this.cache.data).forEach(entry => {
+      if (update(entry)) {
+        this.entrySizes.delete(entry);
+        changed++;
+      }
+    });
+    
+    if (changed > 0) this.saveCache();
+    return changed;
+  }
+
   // Store analysis in cache
   setCachedAnalysis(audioFile, analysis) {
     const key = this.generateFileKey(audioFile);
@@ -116,42 +173,51 @@ class CacheManager {
       lastAccessed: Date.now()
     };
     
-    // Check if we need to prune
-    if (Object.keys(this.cache.data).length > this.maxCacheSize) {
-      this.pruneCache();
-    }
-    
     // Save to localStorage
     this.saveCache();
     console.log(`💾 Cached analysis for ${audioFile.name}`);
   }
 
-  // Remove entries that haven't been accessed recently
-  pruneCache() {
-    const entries = Object.entries(this.cache.data);
-    
-    // Sort by last accessed time (oldest first)
-    entries.sort((a, b) => a[1].lastAccessed - b[1].lastAccessed);
+  // Entries worth storing: not precomputed, most recently accessed first,
+  // up to maxSize characters (what localStorage quotas count). The ones left
+  // out stay cached for this session and are analyzed again next time.
+  pruneCache(maxSize = this.maxStorageSize) {
+    const entries = Object.entries(this.cache.data).filter(([key, entry]) => !entry.precomputed);
     
-    // Keep only the most recent 70% of maxCacheSize
-    const keepCount = Math.floor(this.maxCacheSize * 0.7);
-    const toKeep = entries.slice(-keepCount);
+    // Sort by last accessed time (newest first)
+    entries.sort((a, b) => b[1].lastAccessed - a[1].lastAccessed);
     
-    // Rebuild cache with kept entries
-    this.cache.data = Object.fromEntries(toKeep);
+    const toKeep = [];
+    let size = 0;
+    for (const [key, entry] of entries) {
+      if (!this.entrySizes.has(entry)) this.entrySizes.set(entry, JSON.stringify(entry).length);
+      size += key.length + this.entrySizes.get(entry) + 4; // Quotes, colon and comma
+      if (size > maxSize) break;
+      toKeep.push([key, entry]);
+    }
     
-    console.log(`🧹 Pruned cache from ${entries.length} to ${toKeep.length} entries`);
+    if (toKeep.length < entries.length) {
+      console.log(`🧹 Storing the ${toKeep.length} most recently used of ${entries.length} analyses, the rest would exceed ${(maxSize / (1024 * 1024)).toFixed(1)} MB`);
+    }
+    return Object.fromEntries(toKeep);
   }
 
   // Clear all cache
   clearCache() {
     this.cache = { version: this.cacheVersion, data: {} };
+    this.stats = null;
     localStorage.removeItem(this.storageKey);
     console.log('🗑️ Cache cleared');
   }
 
-  // Get cache statistics
+  // Get cache statistics; cheap to call every frame, since they are only
+  // worked out again once the cache has been saved
   getCacheStats() {
+    if (!this.stats) this.stats = this.computeCacheStats();
+    return this.stats;
+  }
+
+  computeCacheStats() {
     const entries = Object.values(this.cache.data);
     const totalEntries = entries.length;
     
@@ -180,6 +246,54 @@ class CacheManager {
     };
   }
 
+  // Merge entries from another cache file (e.g. written by tools/batch-analyze.mjs)
+  // without dropping what's already cached; returns the number of entries merged.
+  // The file stays their source of truth: merged entries replace local ones
+  // and aren't written to localStorage, unless analyzed again here.
+  mergeCache(imported) {
+    if (!imported || imported.version !== this.cacheVersion || !imported.data) {
+      console.warn(`⚠️ Not merging cache file (version ${imported && imported.version}, current: ${this.cacheVersion})`);
+      return 0;
+    }
+    
+    const entries = Object.entries(this.checkEntries(imported.data).data);
+    entries.forEach(([key, entry]) => {
+      this.cache.data[key] = { ...entry, lastAccessed: Date.now(), precomputed: true };
+    });
+    
+    if (entries.length > 0) this.saveCache();
+    console.log(`📥 Merged ${entries.length} precomputed analyses`);
+    return entries.length;
+  }
+
+  // Files listed without a size (plain paths in index.json) take the size of
+  // the precomputed entry for their path, so they find it under its key
+  fillUnknownSizes(audioFiles) {
+    const sizes = new Map(Object.values(this.cache.data)
+      .filter(entry => entry.precomputed && typeof entry.size === 'number')
+      .map(entry => [entry.path, entry.size]));
+    let filled = 0;
+    audioFiles.forEach(audioFile => {
+      if (typeof audioFile.size === 'number' || !sizes.has(audioFile.path)) return;
+      audioFile.size = sizes.get(audioFile.path);
+      filled++;
+    });
+    if (filled > 0) console.log(`📏 Took the size of ${filled} file(s) from precomputed analyses`);
+    return filled;
+  }
+
+  // Fetch and merge a precomputed cache file; a missing file is not an error
+  async loadPrecomputedAnalyses(url) {
+    try {
+      const response = await fetch(url);
+      if (!response.ok) return 0;
+      return this.mergeCache(await response.json());
+    } catch (error) {
+      console.log(`📦 No precomputed analyses at ${url}`);
+      return 0;
+    }
+  }
+
   // Export cache as JSON (for debugging)
   exportCache() {
     return JSON.stringify(this.cache, null, 2);
@@ -190,6 +304,7 @@ class CacheManager {
     try {
       const imported = JSON.parse(jsonString);
       if (imported.version === this.cacheVersion) {
+        imported.data = this.checkEntries(imported.data).data;
         this.cache = imported;
         this.saveCache();
         console.log('✅ Cache imported successfully');
@@ -1,50 +1,225 @@
-// EssentiaWorkerManager.js - Manages Web Worker for Essentia analysis
+// EssentiaWorkerManager.js - Manages a pool of Web Workers for Essentia analysis
+
+// Job priorities: higher runs first; clicked clips jump ahead of everything else
+const ANALYSIS_PRIORITY = {
+  BULK: 0,
+  VISIBLE: 1,
+  CLICKED: 2
+};
+
+// References per compare message, so a worker is held up for about a second
+// at a time (each comparison takes a few tens of milliseconds)
+const RIFF_COMPARE_BATCH = 50;
+
+// Milliseconds an analysis or comparison may go without reporting progress
+// before its worker counts as stuck; long jams on slow machines take far
+// longer than this as a whole
+const WORKER_STALL_TIMEOUT = 10 * 60000;
 
 class EssentiaWorkerManager {
-  constructor() {
-    this.worker = null;
+  constructor(options = {}) {
+    // Leave one core for the main thread (drawing, fetching and decoding)
+    const cores = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2;
+    this.poolSize = options.poolSize || Math.max(1, cores - 1);
+    this.maxConcurrentLoads = options.maxConcurrentLoads || 2; // Files fetched/decoded ahead of the workers
+    this.essentiaBasePath = options.essentiaBasePath || 'libraries/'; // Vendored Essentia.js builds, relative to the page
+    this.pipeline = options.pipeline || {}; // Descriptor registry overrides sent with 'init' (see essentia.worker.js)
+    
+    this.workers = []; // { worker, index, activeJob, completedJobs, busyTime, restarting, drainingMessageId, comparing }
     this.isInitialized = false;
     this.messageId = 0;
     this.pendingMessages = new Map();
+    
+    // Job queue: jobs wait in pendingJobs, load their audio (at most
+    // maxConcurrentLoads at once), then wait in readyJobs for an idle worker
+    this.pendingJobs = [];
+    this.readyJobs = [];
+    this.activeLoads = 0;
+    this.jobs = new Map(); // job.sequence -> job, for every job not yet finished (a file can be queued twice)
+    this.idleWaiters = []; // { resolve, reject } of compareRiffs batches waiting for a worker no analysis needs
+    this.jobSequence = 0; // Keeps FIFO order among jobs of equal priority
+    this.isPaused = false; // Paused: only jobs above BULK priority start
   }
 
   async initialize() {
     try {
-      console.log('🔧 Initializing Essentia Web Worker...');
+      console.log(`🔧 Initializing pool of ${this.poolSize} Essentia Web Worker(s)...`);
       
-      // Create the worker
-      this.worker = new Worker('js/essentia.worker.js', { type: 'module' });
-      
-      // Set up message handler
-      this.worker.onmessage = (e) => this.handleMessage(e);
-      
-      // Set up error handler
-      this.worker.onerror = (error) => {
-        console.error('❌ Worker error:', error);
-      };
+      if (this.supportsModuleWorkers()) {
+        const slots = [];
+        for (let i = 0; i < this.poolSize; i++) {
+          slots.push(this.createWorkerSlot(i));
+        }
+        await this.initializeSlots(slots);
+      }
       
-      // Send init message and wait for response
-      const initResult = await this.sendMessage('init', {});
+      // Same analysis on the main thread when no worker could be started
+      if (this.workers.length === 0) {
+        console.warn('⚠️ No module worker available, analyzing on the main thread');
+        await this.initializeSlots([this.createMainThreadSlot(0)]);
+      }
       
-      if (initResult.success) {
+      if (this.workers.length > 0) {
         this.isInitialized = true;
-        console.log('✅ Essentia Web Worker initialized successfully');
+        console.log(`✅ ${this.workers.length} Essentia Web Worker(s) initialized successfully`);
         return true;
       } else {
-        console.warn('⚠️ Worker initialization failed:', initResult.error);
+        console.warn('⚠️ No worker could be initialized');
         return false;
       }
       
     } catch (error) {
-      console.error('❌ Error initializing worker:', error);
+      console.error('❌ Error initializing worker pool:', error);
       this.isInitialized = false;
       return false;
     }
   }
 
+  // Send init message to every slot and keep the ones that succeed
+  async initializeSlots(slots) {
+    const initResults = await Promise.all(slots.map(slot => 
+      this.sendMessage(slot, 'init', { basePath: this.resolveUrl(this.essentiaBasePath), pipeline: this.pipeline }).catch(error => ({ success: false, error: error.message }))
+    ));
+    
+    slots.forEach((slot, i) => {
+      if (initResults[i].success) {
+        this.workers.push(slot);
+      } else {
+        console.warn(`⚠️ Worker ${i} initialization failed:`, initResults[i].error);
+        slot.worker.terminate();
+      }
+    });
+  }
+
+  // Module workers can't be feature-detected directly, but browsers that
+  // support them read the 'type' option while constructing the worker
+  supportsModuleWorkers() {
+    if (typeof Worker === 'undefined') return false;
+    
+    let supported = false;
+    try {
+      const options = { get type() { supported = true; return 'module'; } };
+      new Worker('data:,', options).terminate();
+    } catch (error) {
+      // Only whether 'type' was read matters
+    }
+    return supported;
+  }
+
+  // Create one worker and the bookkeeping used for load tracking
+  createWorkerSlot(index) {
+    const slot = { worker: null, index, activeJob: null, completedJobs: 0, busyTime: 0, restarting: false, drainingMessageId: null, comparing: false };
+    this.startWorker(slot);
+    return slot;
+  }
+
+  // Start (or restart) the worker of a slot
+  startWorker(slot) {
+    const worker = new Worker('js/essentia.worker.js', { type: 'module' });
+    
+    // Set up message handler
+    worker.onmessage = (e) => this.handleMessage(e);
+    
+    // An uncaught error or running out of memory can leave the worker dead,
+    // so replace it instead of waiting for its messages to time out
+    worker.onerror = (error) => {
+      console.error(`❌ Worker ${slot.index} error:`, error);
+      if (slot.worker === worker) this.restartSlot(slot, `Worker error: ${error.message || 'worker crashed'}`);
+    };
+    
+    slot.worker = worker;
+  }
+
+  // A worker whose message timed out may still be analysing, and one that
+  // errored may be dead: either way it must not be handed the next job.
+  // Messages still waiting on it fail with reason, then a fresh worker takes
+  // its place. The main-thread slot can't be terminated, so its running job
+  // is cancelled instead and the slot stays busy until that job answers.
+  restartSlot(slot, reason) {
+    this.failPendingMessages(slot, reason);
+    if (slot.restarting || !this.workers.includes(slot)) return;
+    
+    if (slot.isMainThread) {
+      if (slot.activeJob && slot.activeJob.messageId !== null) {
+        slot.drainingMessageId = slot.activeJob.messageId;
+        slot.worker.postMessage({ type: 'cancel', payload: { messageId: slot.drainingMessageId }, id: null });
+      }
+      return;
+    }
+    
+    console.warn(`⚠️ Restarting worker ${slot.index}: ${reason}`);
+    slot.restarting = true;
+    slot.worker.terminate();
+    this.startWorker(slot);
+    this.sendMessage(slot, 'init', { basePath: this.resolveUrl(this.essentiaBasePath), pipeline: this.pipeline })
+      .then(result => {
+        if (!result.success) throw new Error(result.error);
+        slot.restarting = false;
+        console.log(`✅ Worker ${slot.index} restarted`);
+        this.processQueue();
+      })
+      .catch(error => {
+        console.error(`❌ Worker ${slot.index} could not be restarted, removing it from the pool:`, error);
+        slot.worker.terminate();
+        this.workers = this.workers.filter(other => other !== slot);
+        if (this.workers.length === 0) {
+          this.isInitialized = false;
+          this.failQueuedJobs(new Error('No analysis worker left'));
+        }
+      });
+  }
+
+  failPendingMessages(slot, reason) {
+    for (const [id, pending] of this.pendingMessages) {
+      if (pending.slot !== slot) continue;
+      this.pendingMessages.delete(id);
+      clearTimeout(pending.timer);
+      pending.reject(new Error(reason));
+    }
+  }
+
+  // Stand-in for a worker that runs essentia.analysis.js on the main thread
+  // with the same message protocol, so the queue treats it like any other
+  // slot. Analysis yields between stages, but the page is less responsive.
+  createMainThreadSlot(index) {
+    const analysisModule = import(this.resolveUrl('js/essentia.analysis.js'));
+    let handleMessage = null;
+    
+    const worker = {
+      postMessage: (data) => {
+        analysisModule.then(module => {
+          handleMessage = handleMessage || module.createMessageHandler(message => this.handleMessage({ data: message }));
+          handleMessage({ data });
+        }).catch(error => {
+          this.handleMessage({ data: { type: 'error', payload: { error: error.message }, id: data.id } });
+        });
+      },
+      terminate: () => {}
+    };
+    
+    return { worker, index, activeJob: null, completedJobs: 0, busyTime: 0, restarting: false, drainingMessageId: null, comparing: false, isMainThread: true };
+  }
+
   handleMessage(e) {
     const { type, payload, id } = e.data;
     
+    // Progress reports arrive while the analyze or compare message is still
+    // pending, and restart its timeout
+    if (type === 'analysis-progress' || type === 'compare-progress') {
+      if (this.pendingMessages.has(id)) this.startMessageTimer(id);
+      const job = type === 'analysis-progress' && [...this.jobs.values()].find(job => job.messageId === id);
+      if (job) this.updateProgress(job, payload);
+      return;
+    }
+    
+    // The late answer of a job cancelled after a main-thread timeout frees its slot
+    const drainedSlot = this.workers.find(slot => slot.drainingMessageId === id && id !== null);
+    if (drainedSlot) {
+      drainedSlot.drainingMessageId = null;
+      this.processQueue();
+      return;
+    }
+    
     // Find the pending promise for this message
     const pending = this.pendingMessages.get(id);
     
@@ -55,6 +230,7 @@ class EssentiaWorkerManager {
     
     // Remove from pending
     this.pendingMessages.delete(id);
+    clearTimeout(pending.timer);
     
     // Resolve or reject based on message type
     if (type === 'error') {
@@ -64,70 +240,362 @@ class EssentiaWorkerManager {
     }
   }
 
-  sendMessage(type, payload) {
+  // transfer lists ArrayBuffers to move (not copy) into the worker; id is
+  // only passed by callers that need to know it before the answer arrives
+  sendMessage(slot, type, payload, timeout = 60000, transfer = [], id = this.messageId++) {
     return new Promise((resolve, reject) => {
-      const id = this.messageId++;
-      
       // Store the promise callbacks
-      this.pendingMessages.set(id, { resolve, reject });
+      this.pendingMessages.set(id, { resolve, reject, slot, timeout, timer: null });
       
       // Send message to worker
-      this.worker.postMessage({ type, payload, id });
-      
-      // Timeout after 60 seconds
-      setTimeout(() => {
-        if (this.pendingMessages.has(id)) {
-          this.pendingMessages.delete(id);
-          reject(new Error('Worker message timeout'));
-        }
-      }, 60000);
+      slot.worker.postMessage({ type, payload, id }, transfer);
+      this.startMessageTimer(id);
     });
   }
 
-  async analyzeAudio(audioBuffer, fileName = 'unknown') {
+  // Time out after 60 seconds (or the caller's timeout) without an answer or
+  // a progress report; the worker may still be busy with it, so it is replaced
+  startMessageTimer(id) {
+    const pending = this.pendingMessages.get(id);
+    clearTimeout(pending.timer);
+    pending.timer = setTimeout(() => {
+      if (this.pendingMessages.get(id) !== pending) return;
+      this.pendingMessages.delete(id);
+      pending.reject(new Error('Worker message timeout'));
+      this.restartSlot(pending.slot, 'Worker message timeout');
+    }, pending.timeout);
+  }
+
+  // audioData is the { channels, sampleRate } object from AudioManager.loadAudioBuffer
+  // onProgress receives { stage, stageFraction, fraction } as the worker moves through the analysis
+  async analyzeAudio(audioData, fileName = 'unknown', onProgress = null) {
+    return this.analyzeFile(fileName, async () => audioData, { onProgress });
+  }
+
+  // Queue a file for analysis; loadAudio is called once a load slot is free
+  // and must resolve to the same object AudioManager.loadAudioBuffer returns.
+  // Options:
+  //   jobId    - caller's id for prioritize()/cancel() (defaults to fileName)
+  //   priority - one of ANALYSIS_PRIORITY (defaults to BULK)
+  //   url      - lets the worker fetch and decode formats it supports (WAV),
+  //              skipping main-thread fetching and decoding entirely
+  //   onProgress - called with { stage, stageFraction, fraction } while the
+  //                file is decoded and analysed; fraction covers the whole job
+  // Resolves with the analysis as soon as this file is done, in any order,
+  // or with null if the job is cancelled. Rejects if the audio can't be
+  // loaded or the worker fails, times out or crashes.
+  analyzeFile(fileName, loadAudio, options = {}) {
     if (!this.isInitialized) {
       console.warn('⚠️ Worker not initialized, using mock analysis');
-      return this.generateMockAnalysis();
+      return Promise.resolve(generateMockAnalysis('Analysis workers are not initialized'));
     }
 
+    return new Promise((resolve, reject) => {
+      const job = {
+        id: options.jobId !== undefined ? options.jobId : fileName,
+        fileName,
+        loadAudio,
+        resolve,
+        reject,
+        priority: options.priority || ANALYSIS_PRIORITY.BULK,
+        sequence: this.jobSequence++,
+        state: 'pending', // pending -> loading -> ready -> running
+        audioData: null,
+        url: null,
+        slot: null,
+        messageId: null,
+        progress: null, // Latest { stage, stageFraction, fraction }
+        onProgress: options.onProgress || null,
+        cancelled: false
+      };
+      this.jobs.set(job.sequence, job);
+      
+      if (options.url && this.canWorkerDecode(options.url)) {
+        job.url = options.url;
+        job.state = 'ready';
+        this.readyJobs.push(job);
+      } else {
+        this.pendingJobs.push(job);
+      }
+      this.processQueue();
+    });
+  }
+
+  // Formats essentia.worker.js can fetch and decode without the main thread
+  canWorkerDecode(url) {
+    return /\.wav(\?|$)/i.test(url);
+  }
+
+  // Unfinished, uncancelled jobs of a caller's job id
+  findJobs(jobId) {
+    return [...this.jobs.values()].filter(job => job.id === jobId && !job.cancelled);
+  }
+
+  // Raise (or lower) a queued job's priority; returns false if it isn't queued
+  prioritize(jobId, priority = ANALYSIS_PRIORITY.CLICKED) {
+    const jobs = this.findJobs(jobId).filter(job => job.state !== 'running');
+    if (jobs.length === 0) return false;
+    
+    jobs.forEach(job => { job.priority = priority; });
+    this.processQueue();
+    return true;
+  }
+
+  // Cancel a job by id wherever it is: queued jobs are dropped, loading jobs
+  // are dropped once their audio arrives, running jobs are stopped in the worker.
+  // A file queued more than once has all its jobs cancelled.
+  cancel(jobId) {
+    const jobs = this.findJobs(jobId);
+    jobs.forEach(job => this.cancelJob(job));
+    return jobs.length > 0;
+  }
+
+  cancelJob(job) {
+    job.cancelled = true;
+    console.log(`🚫 Cancelling analysis of ${job.fileName} (${job.state})`);
+    
+    if (job.state === 'running') {
+      // No reply of its own: the worker answers the analyze message instead
+      job.slot.worker.postMessage({ type: 'cancel', payload: { messageId: job.messageId }, id: null });
+      return;
+    }
+    
+    this.pendingJobs = this.pendingJobs.filter(queued => queued !== job);
+    this.readyJobs = this.readyJobs.filter(queued => queued !== job);
+    if (job.state !== 'loading') {
+      this.finishJob(job, null);
+    }
+  }
+
+  // Pause bulk analysis: running jobs finish, but only prioritized jobs start
+  pause() {
+    this.isPaused = true;
+    console.log('⏸️ Bulk analysis paused');
+  }
+
+  resume() {
+    this.isPaused = false;
+    console.log('▶️ Bulk analysis resumed');
+    this.processQueue();
+  }
+
+  // Highest priority first, then first-come first-served
+  takeNextJob(queue) {
+    const startable = queue.filter(job => !this.isPaused || job.priority > ANALYSIS_PRIORITY.BULK);
+    if (startable.length === 0) return null;
+    
+    const next = startable.reduce((best, job) => 
+      job.priority > best.priority || (job.priority === best.priority && job.sequence < best.sequence) ? job : best
+    );
+    queue.splice(queue.indexOf(next), 1);
+    return next;
+  }
+
+  // Start loads and dispatch loaded jobs to idle workers
+  processQueue() {
+    // Fetch/decode ahead, but never more than maxConcurrentLoads files at once
+    const loadedJobs = this.readyJobs.filter(job => !job.url).length;
+    let loadSlots = this.maxConcurrentLoads - this.activeLoads - loadedJobs;
+    while (loadSlots > 0) {
+      const job = this.takeNextJob(this.pendingJobs);
+      if (!job) break;
+      this.loadJob(job);
+      loadSlots--;
+    }
+    
+    // Hand ready jobs to the least-used idle workers
+    let slot = this.getIdleWorker();
+    while (slot) {
+      const job = this.takeNextJob(this.readyJobs);
+      if (!job) break;
+      this.runJob(slot, job);
+      slot = this.getIdleWorker();
+    }
+    
+    // Workers left over take waiting riff comparisons
+    while (slot && this.idleWaiters.length > 0) {
+      slot.comparing = true;
+      this.idleWaiters.shift().resolve(slot);
+      slot = this.getIdleWorker();
+    }
+  }
+
+  async loadJob(job) {
+    job.state = 'loading';
+    this.activeLoads++;
+    this.updateProgress(job, { stage: 'decode', stageFraction: 0, fraction: 0 });
+    let loadError = null;
+    try {
+      job.audioData = await job.loadAudio();
+    } catch (error) {
+      console.error(`❌ Error loading ${job.fileName}:`, error);
+      loadError = error;
+    }
+    this.activeLoads--;
+    
+    if (job.cancelled) {
+      this.finishJob(job, null);
+    } else if (loadError) {
+      this.failJob(job, loadError);
+    } else {
+      job.state = 'ready';
+      this.readyJobs.push(job);
+    }
+    this.processQueue();
+  }
+
+  async runJob(slot, job) {
+    slot.activeJob = job;
+    job.slot = slot;
+    job.state = 'running';
+    job.messageId = this.messageId++; // Progress reports and cancels refer to it
+    const startTime = performance.now();
+    
     try {
-      console.log(`🔄 [Worker] Sending ${fileName} for analysis...`);
+      console.log(`🔄 [Worker ${slot.index}] Sending ${job.fileName} for analysis...`);
       
-      // Send audio buffer to worker
-      const result = await this.sendMessage('analyze', {
-        audioBuffer: audioBuffer,
-        fileName: fileName
-      });
+      // Send audio buffer to worker (whole-file analysis of long jams can take
+      // minutes, so it only times out when progress reports stop)
+      let resultPromise;
+      if (job.url) {
+        resultPromise = this.sendMessage(slot, 'analyze', { url: this.resolveUrl(job.url), fileName: job.fileName }, WORKER_STALL_TIMEOUT, [], job.messageId);
+      } else {
+        // Transfer the samples instead of structured-cloning them
+        const channels = job.audioData.channels;
+        resultPromise = this.sendMessage(slot, 'analyze', {
+          channels: channels,
+          sampleRate: job.audioData.sampleRate,
+          fileName: job.fileName
+        }, WORKER_STALL_TIMEOUT, channels.map(channel => channel.buffer), job.messageId);
+      }
       
-      console.log(`✅ [Worker] Analysis complete for ${fileName}`);
-      return result.analysis;
+      // The samples now belong to the worker; drop our (detached) reference
+      job.audioData = null;
+      const result = await resultPromise;
+      
+      if (result.cancelled || job.cancelled) {
+        console.log(`🚫 [Worker ${slot.index}] Analysis cancelled for ${job.fileName}`);
+        this.finishJob(job, null);
+      } else {
+        console.log(`✅ [Worker ${slot.index}] Analysis complete for ${job.fileName}`);
+        this.finishJob(job, result.analysis);
+      }
       
     } catch (error) {
-      console.error(`❌ [Worker] Error analyzing ${fileName}:`, error);
-      return this.generateMockAnalysis();
+      console.error(`❌ [Worker ${slot.index}] Error analyzing ${job.fileName}:`, error);
+      if (job.cancelled) {
+        this.finishJob(job, null);
+      } else {
+        this.failJob(job, error);
+      }
+    }
+    
+    slot.activeJob = null;
+    slot.completedJobs++;
+    slot.busyTime += performance.now() - startTime;
+    this.processQueue();
+  }
+
+  updateProgress(job, progress) {
+    job.progress = progress;
+    if (job.onProgress) job.onProgress(progress);
+  }
+
+  // Results are validated against AnalysisSchema.js; one that fails is
+  // replaced by a mock, like any other analysis error
+  finishJob(job, analysis) {
+    this.jobs.delete(job.sequence);
+    if (analysis !== null) {
+      analysis = checkAnalysis(analysis, `analysis of ${job.fileName}`) || generateMockAnalysis('Analysis failed schema validation');
+    }
+    job.resolve(analysis);
+  }
+
+  failJob(job, error) {
+    this.jobs.delete(job.sequence);
+    job.reject(error);
+  }
+
+  // Nothing will ever run the queue once the whole pool is gone; loading jobs
+  // are flagged cancelled so loadJob drops them when their audio arrives
+  failQueuedJobs(error) {
+    for (const job of this.jobs.values()) {
+      job.cancelled = true;
+      this.failJob(job, error);
+    }
+    this.pendingJobs = [];
+    this.readyJobs = [];
+    this.idleWaiters.splice(0).forEach(waiter => waiter.reject(error));
+  }
+
+  // Workers resolve relative URLs against their own script, so send them absolute ones
+  resolveUrl(url) {
+    return new URL(url, document.baseURI).href;
+  }
+
+  // Idle worker with the least accumulated work, or null when all are busy
+  // (analysing or comparing, restarting, or still finishing a job that timed out)
+  getIdleWorker() {
+    const idle = this.workers.filter(slot => !slot.activeJob && !slot.comparing && !slot.restarting && slot.drainingMessageId === null);
+    if (idle.length === 0) return null;
+    return idle.reduce((best, slot) => slot.busyTime < best.busyTime ? slot : best);
+  }
+
+  // Unfinished jobs in the order they will run (running ones first)
+  getQueuedJobs() {
+    const stateOrder = { running: 0, ready: 1, loading: 2, pending: 3 };
+    return [...this.jobs.values()]
+      .filter(job => !job.cancelled)
+      .sort((a, b) => stateOrder[a.state] - stateOrder[b.state] || b.priority - a.priority || a.sequence - b.sequence)
+      .map(job => ({ id: job.id, fileName: job.fileName, priority: job.priority, state: job.state, progress: job.progress }));
+  }
+
+  // Riff distances [{ id, distance }] from query (an analysis.riffChroma) to
+  // references [{ id, chroma }]. Each batch waits for a worker that is idle
+  // once every ready analysis has one, so comparisons only fill gaps.
+  async compareRiffs(query, references) {
+    if (!this.isInitialized) throw new Error('Analysis workers are not initialized');
+    
+    const distances = [];
+    for (let i = 0; i < references.length; i += RIFF_COMPARE_BATCH) {
+      const slot = await new Promise((resolve, reject) => {
+        this.idleWaiters.push({ resolve, reject });
+        this.processQueue();
+      });
+      try {
+        const result = await this.sendMessage(slot, 'compare', { query, references: references.slice(i, i + RIFF_COMPARE_BATCH) }, WORKER_STALL_TIMEOUT);
+        distances.push(...result.distances);
+      } finally {
+        slot.comparing = false;
+        this.processQueue();
+      }
     }
+    return distances;
   }
 
-  generateMockAnalysis() {
-    const structures = ['hook', 'verse', 'pre-chorus', 'chorus', 'outro'];
+  // Per-worker load and queue lengths, for status display
+  getPoolStats() {
     return {
-      energy: Math.random(),
-      mood: Math.random(),
-      key: ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'][Math.floor(Math.random() * 12)],
-      scale: Math.random() > 0.5 ? 'major' : 'minor',
-      tempo: 60 + Math.random() * 120,
-      loudness: -40 + Math.random() * 30,
-      keyStrength: Math.random(),
-      structure: structures[Math.floor(Math.random() * structures.length)]
+      workers: this.workers.map(slot => ({
+        index: slot.index,
+        busy: slot.activeJob !== null,
+        currentFile: slot.activeJob ? slot.activeJob.fileName : null,
+        completedJobs: slot.completedJobs,
+        busyTime: slot.busyTime
+      })),
+      busyWorkers: this.workers.filter(slot => slot.activeJob).length,
+      queued: this.pendingJobs.length + this.readyJobs.length,
+      loading: this.activeLoads,
+      paused: this.isPaused
     };
   }
 
   terminate() {
-    if (this.worker) {
-      this.worker.terminate();
-      this.worker = null;
+    if (this.workers.length > 0) {
+      this.workers.forEach(slot => slot.worker.terminate());
+      this.workers = [];
       this.isInitialized = false;
-      console.log('🛑 Worker terminated');
+      console.log('🛑 Worker pool terminated');
     }
   }
 
@@ -167,23 +635,6 @@ class EssentiaWorkerManager {
       console.warn(`Unknown structure "${structure}", randomly assigned to ${categories[categoryIndex]}`);
     }
     
-    const categoryWidth = maxWidth / categories.length;
-    const headerHeight = 60;
-    const availableHeight = maxHeight - headerHeight - 40; // Leave space at bottom for UI text
-    
-    // Position clips in columns below headers
-    const columnX = -maxWidth/2 + categoryIndex * categoryWidth + categoryWidth/2;
-    const columnWidth = categoryWidth - 20; // Leave some margin
-    
-    // Random position within the column, below the header
-    const x = columnX + (Math.random() - 0.5) * (columnWidth * 0.8);
-    const y = headerHeight/2 + Math.random() * (availableHeight * 0.8);
-    
-    return {
-      x: x,
-      y: y,
-      category: structure || categories[categoryIndex],
-      categoryIndex: categoryIndex
-    };
+    return getColumnCoordinates(categoryIndex, categories.length, maxWidth, maxHeight);
   }
 }
@@ -0,0 +1,79 @@
+// MidiExport.js - Standard MIDI File export of a clip's transcribed notes
+
+const MIDI_TICKS_PER_BEAT = 480;
+
+// Format 0 file (one track, channel 1) of notes ({ onset, duration, pitch,
+// velocity } in seconds) at a fixed tempo. shift (seconds) is added to every
+// onset, e.g. to put the first downbeat on a bar line.
+function encodeMidiFile(notes, tempo, options = {}) {
+  const beatsPerBar = options.beatsPerBar || 4;
+  const shift = options.shift || 0;
+  const toTicks = seconds => Math.max(0, Math.round((seconds + shift) * tempo / 60 * MIDI_TICKS_PER_BEAT));
+
+  // Note-offs sort before note-ons at the same tick so repeated notes retrigger
+  const events = [];
+  notes.forEach(note => {
+    const pitch = Math.min(Math.max(note.pitch, 0), 127);
+    const velocity = Math.min(Math.max(note.velocity, 1), 127);
+    const start = toTicks(note.onset);
+    const end = Math.max(toTicks(note.onset + note.duration), start + 1);
+    events.push({ tick: start, order: 1, data: [0x90, pitch, velocity] });
+    events.push({ tick: end, order: 0, data: [0x80, pitch, 0] });
+  });
+  events.sort((a, b) => a.tick - b.tick || a.order - b.order);
+
+  const microsecondsPerBeat = Math.round(60000000 / tempo);
+  const track = [];
+  const name = Array.from(options.name || 'Notes', char => char.charCodeAt(0) & 0x7f);
+  track.push(0, 0xff, 0x03, ...midiVariableLength(name.length), ...name);
+  track.push(0, 0xff, 0x51, 0x03, (microsecondsPerBeat >> 16) & 0xff, (microsecondsPerBeat >> 8) & 0xff, microsecondsPerBeat & 0xff);
+  track.push(0, 0xff, 0x58, 0x04, beatsPerBar, 2, 24, 8); // n/4 time
+
+  let lastTick = 0;
+  events.forEach(event => {
+    track.push(...midiVariableLength(event.tick - lastTick), ...event.data);
+    lastTick = event.tick;
+  });
+  track.push(0, 0xff, 0x2f, 0x00); // End of track
+
+  const header = [0x4d, 0x54, 0x68, 0x64, 0, 0, 0, 6, 0, 0, 0, 1, MIDI_TICKS_PER_BEAT >> 8, MIDI_TICKS_PER_BEAT & 0xff];
+  const trackHeader = [0x4d, 0x54, 0x72, 0x6b, (track.length >>> 24) & 0xff, (track.length >> 16) & 0xff, (track.length >> 8) & 0xff, track.length & 0xff];
+  return new Uint8Array([...header, ...trackHeader, ...track]);
+}
+
+// MIDI variable-length quantity: 7 bits per byte, most significant first
+function midiVariableLength(value) {
+  const bytes = [value & 0x7f];
+  while ((value >>= 7) > 0) {
+    bytes.unshift((value & 0x7f) | 0x80);
+  }
+  return bytes;
+}
+
+// Download a clip's notes as <clip name>.mid at its detected tempo. With a
+// beat grid the notes are shifted so the first downbeat falls on a bar line,
+// matching the DAW's bars to the clip's. Returns false without notes.
+function downloadNotesAsMidi(audioFile) {
+  const analysis = audioFile.analysis;
+  if (!analysis || !analysis.notes || analysis.notes.length === 0) return false;
+
+  const beats = analysis.beats;
+  const beatsPerBar = beats ? beats.beatsPerBar : 4;
+  let shift = 0;
+  if (beats && beats.downbeats.length > 0) {
+    const barDuration = beatsPerBar * 60 / analysis.tempo;
+    shift = (barDuration - beats.downbeats[0] % barDuration) % barDuration;
+  }
+
+  const baseName = audioFile.name.replace(/\.[^.]+$/, '');
+  const bytes = encodeMidiFile(analysis.notes, analysis.tempo, { beatsPerBar, shift, name: baseName });
+  const url = URL.createObjectURL(new Blob([bytes], { type: 'audio/midi' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${baseName}.mid`;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+  console.log(`🎹 Exported ${analysis.notes.length} notes of ${audioFile.name} at ${Math.round(analysis.tempo)} BPM`);
+  return true;
+}
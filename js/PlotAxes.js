@@ -0,0 +1,41 @@
+// PlotAxes.js - Analysis fields the grid view can plot on its X and Y axes
+
+// Each axis maps one number from an analysis linearly from [min, max] onto
+// the grid (clamped at the edges). lowLabel/highLabel annotate the two ends.
+const PLOT_AXES = [
+  { name: 'tempo', label: 'Tempo', value: analysis => analysis.tempo, min: 60, max: 180, lowLabel: 'Slow (60 BPM)', highLabel: 'Fast (180 BPM)' },
+  { name: 'mood', label: 'Mood', value: analysis => analysis.mood, min: 0, max: 1, lowLabel: 'Sad', highLabel: 'Happy' },
+  { name: 'energy', label: 'Energy', value: analysis => analysis.energy, min: 0, max: 1, lowLabel: 'Calm', highLabel: 'Energetic' },
+  { name: 'onsetRate', label: 'Onset rate (/s)', value: analysis => analysis.onsetRate, min: 0, max: 10, lowLabel: 'Sparse (0/s)', highLabel: 'Busy (10/s)' },
+  { name: 'dynamicComplexity', label: 'Dynamic complexity', value: analysis => analysis.dynamicComplexity, min: 0, max: 10, lowLabel: 'Steady (0 dB)', highLabel: 'Dynamic (10 dB)' },
+  { name: 'danceability', label: 'Danceability', value: analysis => analysis.danceability, min: 0, max: 3, lowLabel: 'Free (0)', highLabel: 'Danceable (3)' },
+  { name: 'beatLoudness', label: 'Beat loudness (dB)', value: analysis => analysis.beatLoudness, min: -40, max: 0, lowLabel: 'Soft beats (-40 dB)', highLabel: 'Hard beats (0 dB)' },
+  { name: 'beatBassRatio', label: 'Beat bass share', value: analysis => analysis.beatBassRatio, min: 0, max: 1, lowLabel: 'Thin beats', highLabel: 'Bass-heavy beats' },
+  { name: 'integratedLoudness', label: 'Loudness (LUFS)', value: analysis => analysis.integratedLoudness, min: -40, max: -6, lowLabel: 'Quiet (-40 LUFS)', highLabel: 'Loud (-6 LUFS)' },
+  { name: 'loudnessRange', label: 'Loudness range (LU)', value: analysis => analysis.loudnessRange, min: 0, max: 20, lowLabel: 'Even (0 LU)', highLabel: 'Dynamic (20 LU)' },
+  { name: 'tuningCents', label: 'Tuning (cents)', value: analysis => analysis.tuningCents, min: -50, max: 50, lowLabel: 'Flat (-50¢)', highLabel: 'Sharp (+50¢)' },
+  { name: 'truePeak', label: 'True peak (dBTP)', value: analysis => analysis.truePeak, min: -24, max: 0, lowLabel: 'Headroom (-24 dBTP)', highLabel: 'Clipping (0 dBTP)' }
+];
+
+function getPlotAxis(name) {
+  return PLOT_AXES.find(axis => axis.name === name) || PLOT_AXES[0];
+}
+
+// Position along the axis from 0 to 1, or 0.5 (the axis line) when the
+// analysis doesn't have the field, e.g. results from before it existed
+function plotAxisFraction(axisName, analysis) {
+  const axis = getPlotAxis(axisName);
+  const value = axis.value(analysis);
+  if (typeof value !== 'number' || !Number.isFinite(value)) return 0.5;
+  return Math.min(Math.max((value - axis.min) / (axis.max - axis.min), 0), 1);
+}
+
+// The axis after axisName, skipping the one already on the other axis
+function nextPlotAxis(axisName, otherAxisName) {
+  const index = PLOT_AXES.findIndex(axis => axis.name === axisName);
+  for (let step = 1; step <= PLOT_AXES.length; step++) {
+    const next = PLOT_AXES[(index + step) % PLOT_AXES.length];
+    if (next.name !== otherAxisName) return next.name;
+  }
+  return axisName;
+}
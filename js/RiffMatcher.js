@@ -0,0 +1,135 @@
+// RiffMatcher.js - Library-wide graph of clips that play the same riff
+
+const RIFF_MATCH_DISTANCE = 0.2; // compareRiffs distance under which two clips count as the same riff
+const RIFF_UPDATE_DELAY = 2000; // Milliseconds without new analyses before the graph catches up with them
+
+class RiffMatcher {
+  // Clips come from cacheManager (every cached analysis, not only the ones
+  // loaded this session); workerManager runs the comparisons
+  constructor(cacheManager, workerManager) {
+    this.storageKey = 'essentiaSketch_riffGraph';
+    this.cacheManager = cacheManager;
+    this.workerManager = workerManager;
+    this.graph = this.loadGraph(); // { version, nodes: clip key -> { fileName, cachedAt }, edges: clip key -> { clip key: distance } }
+    this.version = 0; // Bumped whenever matches change
+    this.edgeList = null; // { version, pairs } cached by getEdges
+    this.updateTimer = null; // Pending update(), see RIFF_UPDATE_DELAY
+    this.updating = null; // Promise of the running update
+    this.updateRequested = false; // Run again once it finishes
+  }
+
+  // The graph is only valid for fingerprints of the current cache version
+  loadGraph() {
+    try {
+      const stored = localStorage.getItem(this.storageKey);
+      const graph = stored ? JSON.parse(stored) : null;
+      if (graph && graph.version === this.cacheManager.cacheVersion) return graph;
+    } catch (error) {
+      console.error('❌ Error loading riff graph:', error);
+    }
+    return { version: this.cacheManager.cacheVersion, nodes: {}, edges: {} };
+  }
+
+  saveGraph() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(this.graph));
+    } catch (error) {
+      console.error('❌ Error saving riff graph:', error);
+    }
+  }
+
+  // Bring the graph up to date with the cache once analyses stop arriving
+  // for RIFF_UPDATE_DELAY, so a batch of results starts one update, not one
+  // each
+  update() {
+    clearTimeout(this.updateTimer);
+    this.updateTimer = setTimeout(() => this.runUpdate(), RIFF_UPDATE_DELAY);
+  }
+
+  // Calls while an update runs are folded into one more run after it
+  runUpdate() {
+    if (this.updating) {
+      this.updateRequested = true;
+      return this.updating;
+    }
+    
+    this.updating = this.addNewClips()
+      .catch(error => console.error('❌ Error matching riffs:', error))
+      .finally(() => {
+        this.updating = null;
+        if (this.updateRequested) {
+          this.updateRequested = false;
+          this.runUpdate();
+        }
+      });
+    return this.updating;
+  }
+
+  // Incremental: each clip not yet in the graph is compared with the clips
+  // already in it, never all pairs again. A re-analysed clip (cached at a new
+  // time) is taken out and compared afresh; clips pruned from the cache leave.
+  async addNewClips() {
+    const entries = this.cacheManager.getCachedEntries();
+    const staleKeys = Object.keys(this.graph.nodes).filter(key => !entries[key] || entries[key].cachedAt !== this.graph.nodes[key].cachedAt);
+    staleKeys.forEach(key => this.removeClip(key));
+    if (staleKeys.length > 0) this.saveGraph();
+    
+    const newKeys = Object.keys(entries).filter(key => !this.graph.nodes[key] && Array.isArray(entries[key].analysis.riffChroma));
+    for (const key of newKeys) {
+      const entry = entries[key];
+      const references = Object.keys(this.graph.nodes)
+        .filter(id => entries[id])
+        .map(id => ({ id, chroma: entries[id].analysis.riffChroma }));
+      const distances = await this.workerManager.compareRiffs(entry.analysis.riffChroma, references);
+      
+      // Re-analysed or pruned while the worker compared: the next update picks it up
+      if (this.cacheManager.getCachedEntries()[key] !== entry) continue;
+      
+      this.graph.nodes[key] = { fileName: entry.fileName, cachedAt: entry.cachedAt };
+      this.graph.edges[key] = {};
+      distances.forEach(({ id, distance }) => {
+        if (distance === null || distance > RIFF_MATCH_DISTANCE || !this.graph.nodes[id]) return;
+        this.graph.edges[key][id] = distance;
+        this.graph.edges[id][key] = distance;
+      });
+      this.version++;
+      this.saveGraph();
+      
+      const matchCount = Object.keys(this.graph.edges[key]).length;
+      if (matchCount > 0) console.log(`🎸 ${entry.fileName} plays the same riff as ${matchCount} other clip(s)`);
+    }
+  }
+
+  removeClip(key) {
+    Object.keys(this.graph.edges[key] || {}).forEach(other => {
+      if (this.graph.edges[other]) delete this.graph.edges[other][key];
+    });
+    delete this.graph.edges[key];
+    delete this.graph.nodes[key];
+    this.version++;
+  }
+
+  // Clips playing the same riff as audioFile, closest first:
+  // [{ key, fileName, distance }]
+  getMatches(audioFile) {
+    const edges = this.graph.edges[this.cacheManager.generateFileKey(audioFile)] || {};
+    return Object.entries(edges)
+      .map(([key, distance]) => ({ key, fileName: this.graph.nodes[key].fileName, distance }))
+      .sort((a, b) => a.distance - b.distance);
+  }
+
+  // Every matching pair once: [{ a, b, distance }] of clip keys, rebuilt
+  // only after the graph changes
+  getEdges() {
+    if (this.edgeList && this.edgeList.version === this.version) return this.edgeList.pairs;
+    
+    const pairs = [];
+    Object.entries(this.graph.edges).forEach(([a, edges]) => {
+      Object.entries(edges).forEach(([b, distance]) => {
+        if (a < b) pairs.push({ a, b, distance });
+      });
+    });
+    this.edgeList = { version: this.version, pairs };
+    return pairs;
+  }
+}
@@ -0,0 +1,235 @@
+// SimilarityIndex.js - "More like this": nearest clips by their analysis features
+
+// Features of a clip's vector, in groups that can be weighted. value(analysis)
+// gives a number, or an array of size numbers; without value the top-level
+// field of the same name is used. Missing values (null) count as average.
+const SIMILARITY_FEATURES = [
+  { name: 'tempo', group: 'rhythm', value: analysis => typeof analysis.tempo === 'number' ? Math.log2(analysis.tempo) : null },
+  { name: 'onsetRate', group: 'rhythm' },
+  { name: 'danceability', group: 'rhythm' },
+  { name: 'beatLoudness', group: 'rhythm' },
+  { name: 'beatBassRatio', group: 'rhythm' },
+  { name: 'energy', group: 'dynamics' },
+  { name: 'energySpread', group: 'dynamics', value: analysis => summaryDeviation(analysis, 'energy') },
+  { name: 'integratedLoudness', group: 'dynamics' },
+  { name: 'loudnessRange', group: 'dynamics' },
+  { name: 'dynamicComplexity', group: 'dynamics' },
+  { name: 'brightness', group: 'timbre', value: analysis => analysis.summary && analysis.summary.centroid ? Math.log2(Math.max(analysis.summary.centroid.mean, 1)) : null },
+  { name: 'brightnessSpread', group: 'timbre', value: analysis => summaryDeviation(analysis, 'centroid') },
+  { name: 'spectralFlatness', group: 'timbre' },
+  { name: 'inharmonicity', group: 'timbre' },
+  { name: 'distortion', group: 'timbre' },
+  { name: 'mfcc', group: 'timbre', size: 12, value: analysis => analysis.summary && analysis.summary.mfcc ? analysis.summary.mfcc.mean.slice(1, 13) : null },
+  { name: 'keyPosition', group: 'harmony', size: 2, value: analysis => circleOfFifthsPoint(analysis.key) },
+  { name: 'scale', group: 'harmony', value: analysis => analysis.scale === 'major' ? 1 : 0 },
+  { name: 'keyStrength', group: 'harmony' }
+];
+const SIMILARITY_GROUPS = ['rhythm', 'dynamics', 'timbre', 'harmony'];
+const SIMILARITY_WEIGHT_STEPS = [0, 0.5, 1, 2];
+const SIMILARITY_NEIGHBOUR_COUNTS = [3, 5, 8, 12];
+const FEATURE_VECTOR_VERSION = 1; // Bump when SIMILARITY_FEATURES changes, to rebuild stored vectors
+const SIMILARITY_UPDATE_DELAY = 2000; // Milliseconds without new analyses before their vectors are stored
+
+// Distances between weighted, standardized vectors. similarity() maps a
+// distance to 0-1: 1 for identical clips, 0 for a typical pair of unrelated
+// clips (about sqrt(2) standard deviations apart per dimension) or worse.
+const SIMILARITY_METRICS = {
+  euclidean: {
+    label: 'Euclidean',
+    distance: (a, b, weights) => Math.sqrt(a.reduce((sum, value, i) => sum + (weights[i] * (value - b[i])) ** 2, 0)),
+    similarity: (distance, weights) => Math.max(0, 1 - distance / Math.sqrt(2 * weights.reduce((sum, weight) => sum + weight * weight, 0)))
+  },
+  manhattan: {
+    label: 'Manhattan',
+    distance: (a, b, weights) => a.reduce((sum, value, i) => sum + weights[i] * Math.abs(value - b[i]), 0),
+    similarity: (distance, weights) => Math.max(0, 1 - distance / (2 / Math.sqrt(Math.PI) * weights.reduce((sum, weight) => sum + weight, 0)))
+  },
+  cosine: {
+    label: 'Cosine',
+    distance: (a, b, weights) => {
+      let dot = 0, normA = 0, normB = 0;
+      a.forEach((value, i) => {
+        const weight = weights[i] * weights[i];
+        dot += weight * value * b[i];
+        normA += weight * value * value;
+        normB += weight * b[i] * b[i];
+      });
+      return normA > 0 && normB > 0 ? 1 - dot / Math.sqrt(normA * normB) : 1;
+    },
+    similarity: distance => Math.max(0, 1 - distance)
+  }
+};
+
+function summaryDeviation(analysis, name) {
+  const summary = analysis.summary && analysis.summary[name];
+  return summary && typeof summary.variance === 'number' ? Math.sqrt(summary.variance) : null;
+}
+
+// Key as a point on the circle of fifths, so neighbouring keys are close
+function circleOfFifthsPoint(key) {
+  const position = ['C', 'G', 'D', 'A', 'E', 'B', 'F#', 'C#', 'G#', 'D#', 'A#', 'F'].indexOf(key);
+  if (position < 0) return null;
+  const angle = position / 12 * 2 * Math.PI;
+  return [Math.cos(angle), Math.sin(angle)];
+}
+
+class SimilarityIndex {
+  // Indexes every clip in cacheManager, not only the ones loaded this session
+  constructor(cacheManager) {
+    this.settingsKey = 'essentiaSketch_similaritySettings';
+    this.cacheManager = cacheManager;
+    const settings = this.loadSettings();
+    this.metric = settings.metric; // Key of SIMILARITY_METRICS
+    this.weights = settings.weights; // group -> weight
+    this.index = null; // { keys, positions, vectors, mean, deviation }, rebuilt after update()
+    this.groupWeights = {}; // group -> dimensionWeights of that group alone, for groupSimilarity
+    this.updateTimer = null; // Pending indexFeatures(), see SIMILARITY_UPDATE_DELAY
+  }
+
+  loadSettings() {
+    const defaults = { metric: 'euclidean', weights: Object.fromEntries(SIMILARITY_GROUPS.map(group => [group, 1])) };
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.settingsKey) || 'null');
+      if (!stored) return defaults;
+      return {
+        metric: SIMILARITY_METRICS[stored.metric] ? stored.metric : defaults.metric,
+        weights: { ...defaults.weights, ...stored.weights }
+      };
+    } catch (error) {
+      console.error('❌ Error loading similarity settings:', error);
+      return defaults;
+    }
+  }
+
+  saveSettings() {
+    try {
+      localStorage.setItem(this.settingsKey, JSON.stringify({ metric: this.metric, weights: this.weights }));
+    } catch (error) {
+      console.error('❌ Error saving similarity settings:', error);
+    }
+  }
+
+  // Raw feature values of an analysis in SIMILARITY_FEATURES order, with
+  // null for each value the analysis doesn't have
+  static featureVector(analysis) {
+    const values = [];
+    SIMILARITY_FEATURES.forEach(feature => {
+      const size = feature.size || 1;
+      const raw = analysis ? (feature.value ? feature.value(analysis) : analysis[feature.name]) : null;
+      for (let i = 0; i < size; i++) {
+        const value = size === 1 ? raw : (Array.isArray(raw) ? raw[i] : null);
+        values.push(typeof value === 'number' && Number.isFinite(value) ? value : null);
+      }
+    });
+    return values;
+  }
+
+  // Rebuild the index on next use. Storing vectors saves the whole cache, so
+  // it waits for SIMILARITY_UPDATE_DELAY: a batch of results saves once
+  update() {
+    this.index = null;
+    clearTimeout(this.updateTimer);
+    this.updateTimer = setTimeout(() => this.indexFeatures(), SIMILARITY_UPDATE_DELAY);
+  }
+
+  // Store a feature vector with every cache entry that lacks a current one
+  indexFeatures() {
+    clearTimeout(this.updateTimer);
+    this.updateTimer = null;
+    const added = this.cacheManager.annotateEntries(entry => {
+      if (entry.featureVector && entry.featureVector.version === FEATURE_VECTOR_VERSION) return false;
+      entry.featureVector = { version: FEATURE_VECTOR_VERSION, values: SimilarityIndex.featureVector(entry.analysis) };
+      return true;
+    });
+    if (added > 0) console.log(`🧭 Indexed features of ${added} clip(s)`);
+    this.index = null;
+  }
+
+  // Standardize every clip's vector by the per-dimension mean and deviation
+  // over the library; missing values become the mean (0). Clips whose vector
+  // isn't stored yet (indexFeatures() is pending) get one computed here, in
+  // memory only, so building never saves the cache.
+  buildIndex() {
+    const entries = Object.entries(this.cacheManager.getCachedEntries());
+    const vectors = entries.map(([key, entry]) => entry.featureVector && entry.featureVector.version === FEATURE_VECTOR_VERSION
+      ? entry.featureVector.values
+      : SimilarityIndex.featureVector(entry.analysis));
+    const size = SimilarityIndex.featureVector(null).length;
+    const mean = new Array(size).fill(0);
+    const deviation = new Array(size).fill(1);
+    
+    for (let d = 0; d < size; d++) {
+      const values = vectors.map(vector => vector[d]).filter(value => value !== null);
+      if (values.length === 0) continue;
+      mean[d] = values.reduce((sum, value) => sum + value, 0) / values.length;
+      deviation[d] = Math.sqrt(values.reduce((sum, value) => sum + (value - mean[d]) ** 2, 0) / values.length) || 1;
+    }
+    
+    const keys = entries.map(([key]) => key);
+    this.index = { keys, positions: new Map(keys.map((key, i) => [key, i])), names: entries.map(([key, entry]) => entry.fileName), mean, deviation };
+    this.index.vectors = vectors.map(vector => this.standardize(vector));
+    return this.index;
+  }
+
+  standardize(values) {
+    return values.map((value, d) => value === null ? 0 : (value - this.index.mean[d]) / this.index.deviation[d]);
+  }
+
+  // Weight of each dimension: every group gets its weight, shared out so
+  // each feature in a group counts the same whatever its size
+  dimensionWeights(groupWeights = this.weights) {
+    const weights = [];
+    SIMILARITY_FEATURES.forEach(feature => {
+      const groupSize = SIMILARITY_FEATURES.filter(other => other.group === feature.group).length;
+      const size = feature.size || 1;
+      const weight = (groupWeights[feature.group] || 0) / Math.sqrt(groupSize * size);
+      for (let i = 0; i < size; i++) weights.push(weight);
+    });
+    return weights;
+  }
+
+  // Similarity (0-1) of two indexed clips on one feature group alone; null
+  // unless both are indexed
+  groupSimilarity(keyA, keyB, group, metricName = this.metric) {
+    const index = this.index || this.buildIndex();
+    const a = index.positions.get(keyA);
+    const b = index.positions.get(keyB);
+    if (a === undefined || b === undefined) return null;
+    
+    if (!this.groupWeights[group]) this.groupWeights[group] = this.dimensionWeights({ [group]: 1 });
+    const weights = this.groupWeights[group];
+    const metric = SIMILARITY_METRICS[metricName];
+    return metric.similarity(metric.distance(index.vectors[a], index.vectors[b], weights), weights);
+  }
+
+  setMetric(metric) {
+    if (!SIMILARITY_METRICS[metric]) return;
+    this.metric = metric;
+    this.saveSettings();
+  }
+
+  setWeight(group, weight) {
+    this.weights[group] = weight;
+    this.saveSettings();
+  }
+
+  // The count clips most like audioFile, closest first:
+  // [{ key, fileName, distance, similarity }]
+  findNeighbours(audioFile, count) {
+    const index = this.index || this.buildIndex();
+    const weights = this.dimensionWeights();
+    if (index.keys.length === 0 || weights.every(weight => weight === 0)) return [];
+    
+    const key = this.cacheManager.generateFileKey(audioFile);
+    const position = index.positions.get(key);
+    const query = position !== undefined ? index.vectors[position] : this.standardize(SimilarityIndex.featureVector(audioFile.analysis));
+    const metric = SIMILARITY_METRICS[this.metric];
+    
+    return index.vectors
+      .map((vector, i) => ({ key: index.keys[i], fileName: index.names[i], distance: metric.distance(query, vector, weights) }))
+      .filter(neighbour => neighbour.key !== key)
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, count)
+      .map(neighbour => ({ ...neighbour, similarity: metric.similarity(neighbour.distance, weights) }));
+  }
+}
@@ -0,0 +1,185 @@
+// SimilarityPanel.js - Canvas side panel listing the clips most like a right-clicked one
+
+class SimilarityPanel {
+  // findAudioFile(key) returns the displayed clip with that cache key, or
+  // null for clips only in the cache
+  constructor(similarityIndex, findAudioFile, width = 240) {
+    this.similarityIndex = similarityIndex;
+    this.findAudioFile = findAudioFile;
+    this.width = width;
+    this.rowHeight = 20;
+    this.headerHeight = 30;
+    this.controlsHeight = 70; // Metric and neighbour count, then two rows of group weights
+    this.x = 20;
+    this.y = 70; // Below the mode selector
+    this.audioFile = null; // Clip whose neighbours are shown; null when closed
+    this.neighbourCount = SIMILARITY_NEIGHBOUR_COUNTS[1];
+    this.neighbours = [];
+    this.index = null; // Index the neighbours were found in, to refresh after it is rebuilt
+  }
+
+  isOpen() {
+    return this.audioFile !== null;
+  }
+
+  open(audioFile) {
+    this.audioFile = audioFile;
+    this.refresh();
+    console.log(`🧭 Clips like ${audioFile.name}: ${this.neighbours.map(neighbour => neighbour.fileName).join(', ')}`);
+  }
+
+  close() {
+    this.audioFile = null;
+    this.neighbours = [];
+  }
+
+  refresh() {
+    this.neighbours = this.similarityIndex.findNeighbours(this.audioFile, this.neighbourCount);
+    this.index = this.similarityIndex.index;
+  }
+
+  // Rank (1 = most similar) of a displayed clip among the neighbours, or 0
+  rankOf(audioFile) {
+    if (!this.isOpen()) return 0;
+    const key = this.similarityIndex.cacheManager.generateFileKey(audioFile);
+    return this.neighbours.findIndex(neighbour => neighbour.key === key) + 1;
+  }
+
+  draw() {
+    if (!this.isOpen()) return;
+    if (this.similarityIndex.index !== this.index) this.refresh();
+    
+    const panelHeight = this.headerHeight + this.controlsHeight + Math.max(1, this.neighbours.length) * this.rowHeight + 6;
+    
+    push();
+    translate(this.x, this.y);
+    
+    // Background
+    fill(colors.surface);
+    stroke(colors.accent);
+    strokeWeight(1);
+    rect(0, 0, this.width, panelHeight, 6);
+    
+    // Header with close button
+    noStroke();
+    fill(colors.text);
+    textAlign(LEFT);
+    textSize(12);
+    const name = this.audioFile.name.length > 26 ? this.audioFile.name.substring(0, 24) + '...' : this.audioFile.name;
+    text(`Like ${name}`, 10, 19);
+    fill(colors.textMuted);
+    textAlign(CENTER);
+    text('✕', this.width - 14, 19);
+    
+    // Controls: metric and neighbour count, then one weight per feature group
+    this.controls = this.getControls();
+    this.controls.forEach(control => {
+      const isHovered = this.isMouseIn(control);
+      fill(isHovered ? colors.primary : colors.background);
+      rect(control.x, control.y, control.width, 18, 4);
+      fill(control.weight === 0 ? colors.textMuted : colors.text);
+      textAlign(CENTER);
+      textSize(10);
+      text(control.label, control.x + control.width / 2, control.y + 13);
+      if (isHovered) cursor(HAND);
+    });
+    
+    // Neighbour rows: similarity bar and score; click a displayed clip to
+    // see the clips like it instead
+    this.rows = this.neighbours.map((neighbour, i) => ({ neighbour, y: this.headerHeight + this.controlsHeight + i * this.rowHeight }));
+    this.rows.forEach((row, i) => {
+      const audioFile = this.findAudioFile(row.neighbour.key);
+      if (audioFile && this.isMouseIn({ x: 4, y: row.y, width: this.width - 8, height: this.rowHeight })) {
+        fill(colors.accent + '30');
+        rect(4, row.y, this.width - 8, this.rowHeight, 3);
+        cursor(HAND);
+      }
+      
+      fill(colors.accent + '60');
+      rect(this.width - 60, row.y + 6, 50 * row.neighbour.similarity, 8, 2);
+      
+      fill(audioFile ? colors.text : colors.textMuted); // Clips only in the cache are greyed
+      textAlign(LEFT);
+      textSize(11);
+      const displayName = row.neighbour.fileName.length > 24 ? row.neighbour.fileName.substring(0, 22) + '...' : row.neighbour.fileName;
+      text(`${i + 1}. ${displayName}`, 10, row.y + 14);
+      textAlign(RIGHT);
+      text(`${Math.round(row.neighbour.similarity * 100)}%`, this.width - 64, row.y + 14);
+    });
+    
+    if (this.neighbours.length === 0) {
+      fill(colors.textMuted);
+      textAlign(LEFT);
+      textSize(11);
+      text('No other analysed clips', 10, this.headerHeight + this.controlsHeight + 14);
+    }
+    
+    pop();
+  }
+
+  // Buttons in panel coordinates; each click steps its setting
+  getControls() {
+    const metrics = Object.keys(SIMILARITY_METRICS);
+    const controls = [
+      { x: 10, y: this.headerHeight, width: 100, label: SIMILARITY_METRICS[this.similarityIndex.metric].label, step: () => {
+        const next = metrics[(metrics.indexOf(this.similarityIndex.metric) + 1) % metrics.length];
+        this.similarityIndex.setMetric(next);
+      } },
+      { x: 116, y: this.headerHeight, width: 50, label: `k = ${this.neighbourCount}`, step: () => {
+        const counts = SIMILARITY_NEIGHBOUR_COUNTS;
+        this.neighbourCount = counts[(counts.indexOf(this.neighbourCount) + 1) % counts.length];
+      } }
+    ];
+    
+    const weightWidth = (this.width - 24) / 2;
+    SIMILARITY_GROUPS.forEach((group, i) => {
+      const weight = this.similarityIndex.weights[group];
+      const x = 10 + (i % 2) * (weightWidth + 4);
+      const y = this.headerHeight + 22 * (1 + Math.floor(i / 2));
+      controls.push({ x, y, width: weightWidth, weight, label: `${group} ${weight}×`, step: () => {
+        const steps = SIMILARITY_WEIGHT_STEPS;
+        this.similarityIndex.setWeight(group, steps[(steps.indexOf(weight) + 1) % steps.length]);
+      } });
+    });
+    return controls;
+  }
+
+  isMouseIn(area) {
+    const localX = mouseX - this.x;
+    const localY = mouseY - this.y;
+    return localX >= area.x && localX <= area.x + area.width && localY >= area.y && localY < area.y + (area.height || 18);
+  }
+
+  // Handle mouse clicks; returns true if the click was on the panel
+  handleClick(mouseX, mouseY) {
+    if (!this.isOpen()) return false;
+    
+    const localX = mouseX - this.x;
+    const localY = mouseY - this.y;
+    
+    // Close button
+    if (localY >= 6 && localY <= 24 && localX >= this.width - 26 && localX <= this.width) {
+      this.close();
+      return true;
+    }
+    
+    const control = (this.controls || []).find(candidate => this.isMouseIn(candidate));
+    if (control) {
+      control.step();
+      this.refresh();
+      return true;
+    }
+    
+    for (const row of this.rows || []) {
+      if (localY < row.y || localY >= row.y + this.rowHeight || localX < 0 || localX > this.width) continue;
+      
+      const audioFile = this.findAudioFile(row.neighbour.key);
+      if (audioFile) this.open(audioFile);
+      return true;
+    }
+    
+    // Swallow clicks elsewhere on the panel background
+    const panelBottom = this.headerHeight + this.controlsHeight + Math.max(1, this.neighbours.length) * this.rowHeight + 6;
+    return localX >= 0 && localX <= this.width && localY >= 0 && localY <= panelBottom;
+  }
+}
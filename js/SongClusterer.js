@@ -0,0 +1,417 @@
+// SongClusterer.js - Groups clips into song candidates: clips that are
+// probably takes or parts of the same song
+
+// Share of each cue in the affinity of two clips. A cue either clip lacks is
+// left out and the rest share its weight.
+const SONG_CUE_WEIGHTS = { key: 0.25, tempo: 0.25, chords: 0.3, timbre: 0.2 };
+const SONG_RIFF_WEIGHT = 0.3; // Extra cue for pairs RiffMatcher found playing the same riff; no match adds nothing
+const SONG_CLUSTER_AFFINITY = 0.75; // Mean affinity two groups need to be joined
+const SONG_TEMPO_TOLERANCE = 0.06; // log2 tempo ratio (about 4%) at which tempos stop agreeing
+const SONG_HALF_TIME_AGREEMENT = 0.9; // Agreement of half or double time, relative to the same tempo
+const SONG_REBUILD_INTERVAL = 5000; // Milliseconds between rebuilds while analyses and riff matches keep arriving
+
+// Agreement (0-1) of two keys by the distance of their key signatures on
+// the circle of fifths: relative major and minor agree fully, parallel
+// major and minor halfway. null when either key is unknown.
+function keySignatureAgreement(keyA, scaleA, keyB, scaleB) {
+  const position = (key, scale) => ((KEY_NAMES.indexOf(key) + (scale === 'minor' ? 3 : 0)) * 7) % 12;
+  if (!KEY_NAMES.includes(keyA) || !KEY_NAMES.includes(keyB)) return null;
+  if (keyA === keyB && scaleA !== scaleB) return 0.5;
+
+  const steps = Math.abs(position(keyA, scaleA) - position(keyB, scaleB));
+  return [1, 0.6, 0.2][Math.min(steps, 12 - steps)] || 0;
+}
+
+// Agreement (0-1) of two tempos, counting half and double time
+function tempoAgreement(tempoA, tempoB) {
+  if (!(tempoA > 0) || !(tempoB > 0)) return null;
+  const octaves = Math.abs(Math.log2(tempoA / tempoB));
+  const same = Math.max(0, 1 - octaves / SONG_TEMPO_TOLERANCE);
+  const halfOrDouble = Math.max(0, 1 - Math.abs(octaves - 1) / SONG_TEMPO_TOLERANCE) * SONG_HALF_TIME_AGREEMENT;
+  return Math.max(same, halfOrDouble);
+}
+
+// Time spent in each of the 24 major and minor chords as a unit vector,
+// with the most common progression; null without chords
+function chordSummary(chords) {
+  if (!chords || !chords.sequence || chords.sequence.length === 0) return null;
+  const profile = new Array(24).fill(0);
+  chords.sequence.forEach(span => {
+    const match = /^([A-G][#b]?)(m?)$/.exec(span.chord);
+    const root = match ? KEY_NAMES.indexOf(FLAT_KEY_NAMES[match[1]] || match[1]) : -1;
+    if (root >= 0) profile[root * 2 + (match[2] ? 1 : 0)] += span.end - span.start;
+  });
+
+  const norm = Math.sqrt(profile.reduce((sum, time) => sum + time * time, 0));
+  if (norm === 0) return null;
+  return { profile: profile.map(time => time / norm), progression: chords.progression ? chords.progression.chords : [] };
+}
+
+// Agreement (0-1) of two chord summaries: how alike the time spent in each
+// chord is, averaged with how much of the most common progressions match
+// (in any rotation) when both have one of the same length
+function chordAgreement(summaryA, summaryB) {
+  if (!summaryA || !summaryB) return null;
+  const profileAgreement = summaryA.profile.reduce((sum, value, i) => sum + value * summaryB.profile[i], 0);
+
+  const progressionA = summaryA.progression;
+  const progressionB = summaryB.progression;
+  if (progressionA.length === 0 || progressionA.length !== progressionB.length) return profileAgreement;
+
+  let progressionAgreement = 0;
+  for (let shift = 0; shift < progressionA.length; shift++) {
+    const same = progressionA.filter((chord, i) => chord === progressionB[(i + shift) % progressionB.length]).length;
+    progressionAgreement = Math.max(progressionAgreement, same / progressionA.length);
+  }
+  return (profileAgreement + progressionAgreement) / 2;
+}
+
+class SongClusterer {
+  // Clusters every clip in cacheManager except mocks. Timbre comes from
+  // similarityIndex (always Euclidean, whatever the find-similar panel
+  // uses) and riff matches from riffMatcher.
+  constructor(cacheManager, similarityIndex, riffMatcher) {
+    this.storageKey = 'essentiaSketch_songClusters';
+    this.cacheManager = cacheManager;
+    this.similarityIndex = similarityIndex;
+    this.riffMatcher = riffMatcher;
+    // Hand edits, one per merge or split. links: lists of clip keys merged
+    // into one song, joined transitively. separations: { a, b } lists of
+    // clip keys split apart; no song may hold clips of both.
+    this.edits = this.loadEdits();
+    this.clusters = null; // [{ id, label, keys, key, scale, tempo }], largest first
+    this.memberships = new Map(); // clip key -> { cluster, confidence, source }
+    this.affinities = null; // { positions: clip key -> row, matrix } of the last build, for split()
+    this.editedKeys = new Set(); // Clips named by an edit in the last build
+    this.updateTimer = null; // Pending rebuild, see update()
+    this.builtAt = 0;
+    this.riffVersion = -1; // riffMatcher.version the clusters were built with
+    this.version = 0; // Bumped whenever the clusters are rebuilt
+  }
+
+  // Separations stored as single pairs are read as one-clip groups
+  loadEdits() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+      if (stored) {
+        const separations = (stored.separations || []).map(separation => Array.isArray(separation) ? { a: [separation[0]], b: [separation[1]] } : separation);
+        return { links: stored.links || [], separations };
+      }
+    } catch (error) {
+      console.error('❌ Error loading song cluster edits:', error);
+    }
+    return { links: [], separations: [] };
+  }
+
+  saveEdits() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(this.edits));
+    } catch (error) {
+      console.error('❌ Error saving song cluster edits:', error);
+    }
+  }
+
+  // Analyses were added or changed: rebuild on a timer, at least
+  // SONG_REBUILD_INTERVAL after the last build, so a stream of results
+  // doesn't recluster the whole library on every one, and drawing never waits
+  // for a rebuild. Results arriving before it runs are included.
+  update() {
+    if (this.updateTimer) return;
+    const wait = Math.max(0, this.builtAt + SONG_REBUILD_INTERVAL - Date.now());
+    this.updateTimer = setTimeout(() => {
+      this.updateTimer = null;
+      this.buildClusters();
+    }, wait);
+  }
+
+  // Called every frame: builds only the first time; new riff matches
+  // schedule a rebuild like new analyses do
+  getClusters() {
+    if (!this.clusters) {
+      this.buildClusters();
+    } else if (this.riffVersion !== this.riffMatcher.version) {
+      this.update();
+    }
+    return this.clusters;
+  }
+
+  // The cluster holding a clip, or null if the clip isn't clustered
+  clusterOf(key) {
+    this.getClusters();
+    const membership = this.memberships.get(key);
+    return membership ? membership.cluster : null;
+  }
+
+  // { cluster, confidence, source } of a clip, or null if it isn't clustered
+  getMembership(audioFile) {
+    this.getClusters();
+    return this.memberships.get(this.cacheManager.generateFileKey(audioFile)) || null;
+  }
+
+  // What pairAffinity compares of a cached clip, worked out once per build
+  describeClip(key) {
+    const analysis = this.cacheManager.getCachedEntries()[key].analysis;
+    return {
+      key,
+      analysis,
+      keys: getSignificantKeys(analysis).map(entry => entry.key),
+      chords: chordSummary(analysis.chords)
+    };
+  }
+
+  // Affinity (0-1) of two clips from describeClip: the weighted mean of the
+  // cues both have
+  pairAffinity(clipA, clipB) {
+    const a = clipA.analysis;
+    const b = clipB.analysis;
+    
+    // Modulating clips agree with any key they spend significant time in
+    let key = null;
+    clipA.keys.forEach(keyA => {
+      clipB.keys.forEach(keyB => {
+        const agreement = keySignatureAgreement(keyA, a.scale, keyB, b.scale);
+        if (agreement !== null) key = Math.max(key || 0, agreement);
+      });
+    });
+    
+    const riffEdges = this.riffMatcher.graph.edges[clipA.key] || {};
+    const cues = [
+      { agreement: key, weight: SONG_CUE_WEIGHTS.key },
+      { agreement: tempoAgreement(a.tempo, b.tempo), weight: SONG_CUE_WEIGHTS.tempo },
+      { agreement: chordAgreement(clipA.chords, clipB.chords), weight: SONG_CUE_WEIGHTS.chords },
+      { agreement: this.similarityIndex.groupSimilarity(clipA.key, clipB.key, 'timbre', 'euclidean'), weight: SONG_CUE_WEIGHTS.timbre },
+      { agreement: riffEdges[clipB.key] !== undefined ? 1 : null, weight: SONG_RIFF_WEIGHT }
+    ].filter(cue => cue.agreement !== null);
+    
+    const totalWeight = cues.reduce((sum, cue) => sum + cue.weight, 0);
+    return totalWeight > 0 ? cues.reduce((sum, cue) => sum + cue.agreement * cue.weight, 0) / totalWeight : 0;
+  }
+
+  // Average-linkage agglomerative clustering: starting from the groups
+  // merged by hand, repeatedly join the two groups with the highest mean
+  // affinity until none reach SONG_CLUSTER_AFFINITY. Groups holding a pair
+  // split apart by hand are never joined.
+  buildClusters() {
+    const entries = this.cacheManager.getCachedEntries();
+    const keys = Object.keys(entries).filter(key => analysisSource(entries[key].analysis) !== PROVENANCE.MOCK);
+    const positions = new Map(keys.map((key, i) => [key, i]));
+    const clips = keys.map(key => this.describeClip(key));
+    const matrix = keys.map(() => new Array(keys.length).fill(1));
+    for (let i = 0; i < keys.length; i++) {
+      for (let j = i + 1; j < keys.length; j++) {
+        matrix[i][j] = matrix[j][i] = this.pairAffinity(clips[i], clips[j]);
+      }
+    }
+    this.affinities = { positions, matrix };
+    
+    // Edits of clips no longer in the cache are dropped
+    const editSize = JSON.stringify(this.edits).length;
+    this.edits.links = this.edits.links
+      .map(link => link.filter(key => positions.has(key)))
+      .filter(link => link.length > 1);
+    this.edits.separations = this.edits.separations
+      .map(separation => ({ a: separation.a.filter(key => positions.has(key)), b: separation.b.filter(key => positions.has(key)) }))
+      .filter(separation => separation.a.length > 0 && separation.b.length > 0);
+    if (JSON.stringify(this.edits).length !== editSize) this.saveEdits();
+    this.editedKeys = new Set([...this.edits.links.flat(), ...this.edits.separations.flatMap(separation => [...separation.a, ...separation.b])]);
+    
+    // Hand-merged pairs start in one group
+    const groupOf = keys.map((key, i) => i);
+    const find = i => groupOf[i] === i ? i : (groupOf[i] = find(groupOf[i]));
+    this.edits.links.forEach(link => link.forEach(key => { groupOf[find(positions.get(key))] = find(positions.get(link[0])); }));
+    let groups = [...new Set(keys.map((key, i) => find(i)))].map(root => keys.map((key, i) => i).filter(i => find(i) === root));
+    
+    // Affinity sums and hand splits between groups, updated as groups join
+    const sums = groups.map(a => groups.map(b => a.reduce((sum, i) => sum + b.reduce((inner, j) => inner + matrix[i][j], 0), 0)));
+    const blocked = groups.map(() => new Array(groups.length).fill(false));
+    const groupIndex = new Map();
+    groups.forEach((group, g) => group.forEach(i => groupIndex.set(i, g)));
+    this.edits.separations.forEach(separation => {
+      const groupsA = new Set(separation.a.map(key => groupIndex.get(positions.get(key))));
+      const groupsB = new Set(separation.b.map(key => groupIndex.get(positions.get(key))));
+      groupsA.forEach(ga => groupsB.forEach(gb => {
+        if (ga !== gb) blocked[ga][gb] = blocked[gb][ga] = true;
+      }));
+    });
+    
+    // Closest group each group may join. Joining a and b leaves every other
+    // group's mean affinity to them between its two old values, so only the
+    // groups whose partner was a or b need a new one.
+    const partnerOf = g => {
+      let best = null;
+      groups.forEach((other, h) => {
+        if (h === g || !other || blocked[g][h]) return;
+        const mean = sums[g][h] / (groups[g].length * other.length);
+        if (!best || mean > best.mean) best = { group: h, mean };
+      });
+      return best;
+    };
+    const partners = groups.map((group, g) => partnerOf(g));
+    
+    while (true) {
+      let a = -1;
+      partners.forEach((partner, g) => {
+        if (partner && partner.mean >= SONG_CLUSTER_AFFINITY && (a < 0 || partner.mean > partners[a].mean)) a = g;
+      });
+      if (a < 0) break;
+      
+      const b = partners[a].group;
+      groups[a] = groups[a].concat(groups[b]);
+      groups[b] = null;
+      partners[b] = null;
+      for (let c = 0; c < groups.length; c++) {
+        sums[a][c] = sums[c][a] = sums[a][c] + sums[b][c];
+        blocked[a][c] = blocked[c][a] = blocked[a][c] || blocked[b][c];
+      }
+      partners.forEach((partner, g) => {
+        if (g === a || (partner && (partner.group === a || partner.group === b))) partners[g] = partnerOf(g);
+      });
+    }
+    groups = groups.filter(Boolean);
+    
+    this.clusters = groups
+      .map(group => this.describeCluster(group.map(i => keys[i])))
+      .sort((a, b) => b.keys.length - a.keys.length || a.id.localeCompare(b.id));
+    let songNumber = 0;
+    this.clusters.forEach(cluster => {
+      if (cluster.keys.length > 1) cluster.label = `Song ${++songNumber}`;
+    });
+    
+    this.memberships = new Map();
+    this.clusters.forEach(cluster => {
+      cluster.keys.forEach(key => this.memberships.set(key, this.describeMembership(key, cluster)));
+    });
+    
+    this.riffVersion = this.riffMatcher.version;
+    this.builtAt = Date.now();
+    this.version++;
+    console.log(`🏝️ ${songNumber} song candidate(s) among ${keys.length} clips`);
+  }
+
+  // Cluster summary: the most common key and the median tempo of its clips.
+  // The id is the first member key, stable while the membership is.
+  describeCluster(clusterKeys) {
+    const entries = this.cacheManager.getCachedEntries();
+    const analyses = clusterKeys.map(key => entries[key].analysis);
+    const keyCounts = new Map();
+    analyses.forEach(analysis => {
+      const name = `${analysis.key} ${analysis.scale}`;
+      keyCounts.set(name, (keyCounts.get(name) || 0) + 1);
+    });
+    const [key, scale] = [...keyCounts].sort((a, b) => b[1] - a[1])[0][0].split(' ');
+    const tempos = analyses.map(analysis => analysis.tempo).sort((a, b) => a - b);
+    
+    return {
+      id: clusterKeys.slice().sort()[0],
+      label: null, // "Song n" for clusters of more than one clip
+      keys: clusterKeys,
+      key,
+      scale,
+      tempo: tempos[Math.floor(tempos.length / 2)]
+    };
+  }
+
+  // Confidence of a clip's membership: how much closer it is to the rest of
+  // its cluster than to the nearest other cluster, relative to the room left
+  // above that. A clip on its own is confident by how far every cluster stays
+  // below SONG_CLUSTER_AFFINITY. Clips edited by hand are certain.
+  describeMembership(key, cluster) {
+    if (this.editedKeys.has(key)) return { cluster, confidence: 1, source: PROVENANCE.USER_EDITED };
+    
+    const { positions, matrix } = this.affinities;
+    const row = matrix[positions.get(key)];
+    const meanAffinity = clusterKeys => clusterKeys.reduce((sum, other) => sum + row[positions.get(other)], 0) / clusterKeys.length;
+    
+    const others = cluster.keys.filter(other => other !== key);
+    const nearest = this.clusters
+      .filter(candidate => candidate !== cluster)
+      .reduce((best, candidate) => Math.max(best, meanAffinity(candidate.keys)), 0);
+    
+    const confidence = others.length > 0
+      ? (nearest < 1 ? (meanAffinity(others) - nearest) / (1 - nearest) : 0)
+      : (SONG_CLUSTER_AFFINITY - nearest) / SONG_CLUSTER_AFFINITY;
+    return { cluster, confidence: Math.max(0, Math.min(1, confidence)), source: PROVENANCE.MEASURED };
+  }
+
+  // Join the clusters of two clips into one song for good, with one link
+  // listing their clips; earlier splits that kept those clips apart let go of
+  // them. Clusters are named by a member clip, since their ids change with
+  // every rebuild.
+  merge(clipKeyA, clipKeyB) {
+    const clusterA = this.clusterOf(clipKeyA);
+    const clusterB = this.clusterOf(clipKeyB);
+    if (!clusterA || !clusterB) {
+      console.warn(`⚠️ Not merging: ${clusterA ? clipKeyB : clipKeyA} is in no song candidate`);
+      return;
+    }
+    if (clusterA === clusterB) return;
+    
+    const merged = new Set([...clusterA.keys, ...clusterB.keys]);
+    this.edits.separations = this.edits.separations
+      .map(separation => separation.a.some(key => merged.has(key)) && separation.b.some(key => merged.has(key))
+        ? { a: separation.a.filter(key => !merged.has(key)), b: separation.b.filter(key => !merged.has(key)) }
+        : separation)
+      .filter(separation => separation.a.length > 0 && separation.b.length > 0);
+    this.edits.links = this.edits.links.filter(link => !link.every(key => merged.has(key)));
+    this.edits.links.push([...merged]);
+    this.saveEdits();
+    console.log(`🏝️ Merged ${clusterA.label || clusterA.keys[0]} and ${clusterB.label || clusterB.keys[0]}`);
+    this.buildClusters();
+  }
+
+  // Cut the cluster of a clip in two at its weakest link: the lowest-affinity
+  // edge of its maximum spanning tree. The halves are kept apart for good.
+  split(clipKey) {
+    const cluster = this.clusterOf(clipKey);
+    if (!cluster) {
+      console.warn(`⚠️ Not splitting: ${clipKey} is in no song candidate`);
+      return;
+    }
+    if (cluster.keys.length < 2) return;
+    
+    // Prim's algorithm, remembering the edge each clip joined the tree by
+    const { positions, matrix } = this.affinities;
+    const affinity = (a, b) => matrix[positions.get(a)][positions.get(b)];
+    const joined = [{ key: cluster.keys[0], parent: null, affinity: Infinity }];
+    const remaining = cluster.keys.slice(1);
+    while (remaining.length > 0) {
+      let best = null;
+      remaining.forEach(key => {
+        joined.forEach(node => {
+          const candidate = affinity(key, node.key);
+          if (!best || candidate > best.affinity) best = { key, parent: node.key, affinity: candidate };
+        });
+      });
+      joined.push(best);
+      remaining.splice(remaining.indexOf(best.key), 1);
+    }
+    
+    // Everything joined through the weakest edge's clip is one half
+    const weakest = joined.slice(1).reduce((worst, node) => node.affinity < worst.affinity ? node : worst);
+    const half = new Set([weakest.key]);
+    joined.forEach(node => {
+      if (half.has(node.parent)) half.add(node.key);
+    });
+    const other = cluster.keys.filter(key => !half.has(key));
+    
+    // Links are cut in two; each side still holds its own clips together
+    this.edits.links = this.edits.links
+      .flatMap(link => [link.filter(key => half.has(key)), link.filter(key => !half.has(key))])
+      .filter(link => link.length > 1);
+    this.edits.separations.push({ a: [...half], b: other });
+    this.saveEdits();
+    console.log(`🏝️ Split ${cluster.label} into ${half.size} and ${other.length} clip(s)`);
+    this.buildClusters();
+  }
+
+  hasEdits() {
+    return this.edits.links.length > 0 || this.edits.separations.length > 0;
+  }
+
+  // Forget every merge and split
+  clearEdits() {
+    this.edits = { links: [], separations: [] };
+    this.saveEdits();
+    this.buildClusters();
+  }
+}
@@ -0,0 +1,172 @@
+// TimbreClassifier.js - Clean / crunch / high-gain / bass classes from labels assigned in the app
+
+const TIMBRE_CLASSES = ['clean', 'crunch', 'high-gain', 'bass'];
+const TIMBRE_CLASS_COLORS = {
+  'clean': '#7fd1ff',
+  'crunch': '#ffc857',
+  'high-gain': '#ff3b3b',
+  'bass': '#b084ff'
+};
+
+// Until at least two classes have labels, clips are classified by these
+// thresholds on the worker's descriptors
+const BASS_CENTROID = 400; // Hz of mean spectral centroid below which a clip is bass
+const CRUNCH_DISTORTION = 0.45;
+const HIGH_GAIN_DISTORTION = 0.7;
+const TIMBRE_NEIGHBOURS = 3;
+
+class TimbreClassifier {
+  // clipKey(audioFile) names a clip across sessions, e.g. CacheManager.generateFileKey
+  constructor(clipKey) {
+    this.storageKey = 'essentiaSketch_timbreLabels';
+    this.clipKey = clipKey;
+    this.examples = this.loadExamples(); // clip key -> { label, features }
+    this.version = 0; // Bumped on every label change, invalidating predictions
+    this.predictions = new WeakMap(); // analysis -> { version, result }
+    this.train();
+  }
+
+  loadExamples() {
+    try {
+      const stored = localStorage.getItem(this.storageKey);
+      return stored ? JSON.parse(stored) : {};
+    } catch (error) {
+      console.error('❌ Error loading timbre labels:', error);
+      return {};
+    }
+  }
+
+  saveExamples() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(this.examples));
+    } catch (error) {
+      console.error('❌ Error saving timbre labels:', error);
+    }
+  }
+
+  // Descriptors the classifier compares, or null for analyses without them
+  // (mocks, results from before the timbre stage)
+  static featureVector(analysis) {
+    const summary = analysis && analysis.summary;
+    if (!summary || !summary.mfcc || !summary.centroid || !summary.timbre || !summary.timbre.contrast || typeof analysis.distortion !== 'number') {
+      return null;
+    }
+    
+    return [
+      ...summary.mfcc.mean.slice(1), // Spectral envelope, without the level coefficient
+      ...summary.timbre.contrast.mean,
+      Math.log2(Math.max(summary.centroid.mean, 1)), // Brightness in octaves
+      analysis.spectralFlatness || 0,
+      analysis.inharmonicity || 0,
+      analysis.distortion
+    ];
+  }
+
+  // Standardize the labelled examples (per-feature mean and deviation) for
+  // nearest-neighbour search; examples from an older feature layout are skipped
+  train() {
+    const examples = Object.values(this.examples).filter(example =>
+      TIMBRE_CLASSES.includes(example.label) && Array.isArray(example.features)
+    );
+    const featureSize = examples.length > 0 ? examples[examples.length - 1].features.length : 0;
+    this.training = examples.filter(example => example.features.length === featureSize);
+    this.trainedClasses = new Set(this.training.map(example => example.label));
+    
+    this.mean = new Array(featureSize).fill(0);
+    this.deviation = new Array(featureSize).fill(1);
+    if (this.training.length === 0) return;
+    
+    for (let i = 0; i < featureSize; i++) {
+      const values = this.training.map(example => example.features[i]);
+      this.mean[i] = values.reduce((sum, value) => sum + value, 0) / values.length;
+      const variance = values.reduce((sum, value) => sum + (value - this.mean[i]) ** 2, 0) / values.length;
+      this.deviation[i] = Math.sqrt(variance) || 1;
+    }
+  }
+
+  getLabel(audioFile) {
+    const example = this.examples[this.clipKey(audioFile)];
+    return example ? example.label : null;
+  }
+
+  // Label a clip (null removes its label) and retrain
+  setLabel(audioFile, label) {
+    const key = this.clipKey(audioFile);
+    const features = TimbreClassifier.featureVector(audioFile.analysis);
+    if (label && features) {
+      this.examples[key] = { label, features };
+      console.log(`🏷️ Labelled ${audioFile.name} as ${label}`);
+    } else {
+      delete this.examples[key];
+    }
+    
+    this.saveExamples();
+    this.train();
+    this.version++;
+  }
+
+  // Step a clip's label through the classes: an unlabelled clip is first
+  // labelled with its predicted class, and after the last class the label is removed
+  cycleLabel(audioFile) {
+    const current = this.getLabel(audioFile);
+    let next;
+    if (current === null) {
+      const prediction = this.classify(audioFile);
+      next = prediction ? prediction.label : TIMBRE_CLASSES[0];
+    } else {
+      const index = TIMBRE_CLASSES.indexOf(current);
+      next = index < TIMBRE_CLASSES.length - 1 ? TIMBRE_CLASSES[index + 1] : null;
+    }
+    this.setLabel(audioFile, next);
+  }
+
+  // { label, source }: source is 'labelled' for the clip's own label,
+  // 'trained' from its nearest labelled neighbours, or 'heuristic' before
+  // two classes have labels. null when the analysis has no timbre features.
+  classify(audioFile) {
+    const label = this.getLabel(audioFile);
+    if (label) return { label, source: 'labelled' };
+    
+    const analysis = audioFile.analysis;
+    if (!analysis) return null;
+    const cached = this.predictions.get(analysis);
+    if (cached && cached.version === this.version) return cached.result;
+    
+    const features = TimbreClassifier.featureVector(analysis);
+    let result = null;
+    if (features && this.trainedClasses.size >= 2 && features.length === this.mean.length) {
+      result = { label: this.nearestNeighbourClass(features), source: 'trained' };
+    } else if (features) {
+      result = { label: this.heuristicClass(analysis), source: 'heuristic' };
+    }
+    
+    this.predictions.set(analysis, { version: this.version, result });
+    return result;
+  }
+
+  // Distance-weighted vote of the TIMBRE_NEIGHBOURS closest labelled clips
+  nearestNeighbourClass(features) {
+    const standardized = features.map((value, i) => (value - this.mean[i]) / this.deviation[i]);
+    const neighbours = this.training
+      .map(example => {
+        const distance = Math.sqrt(example.features.reduce((sum, value, i) =>
+          sum + ((value - this.mean[i]) / this.deviation[i] - standardized[i]) ** 2, 0));
+        return { label: example.label, distance };
+      })
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, TIMBRE_NEIGHBOURS);
+    
+    const votes = new Map();
+    neighbours.forEach(neighbour => {
+      votes.set(neighbour.label, (votes.get(neighbour.label) || 0) + 1 / (neighbour.distance + 1e-6));
+    });
+    return [...votes].sort((a, b) => b[1] - a[1])[0][0];
+  }
+
+  heuristicClass(analysis) {
+    if (analysis.summary.centroid.mean < BASS_CENTROID) return 'bass';
+    if (analysis.distortion < CRUNCH_DISTORTION) return 'clean';
+    if (analysis.distortion < HIGH_GAIN_DISTORTION) return 'crunch';
+    return 'high-gain';
+  }
+}
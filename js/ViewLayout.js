@@ -0,0 +1,69 @@
+// ViewLayout.js - Which keys a clip is shown in and where it sits in the tuning view
+
+// Columns of the tuning view. In-tune means within the worker's detuned
+// threshold of A440; drifting clips get their own column whatever their reference.
+const TUNING_CATEGORIES = ['Flat', 'A440', 'Sharp', 'Quarter-tone off', 'Drifting', 'Unknown'];
+
+// Share of a clip's length it must spend in a key to be shown in that key
+const KEY_SIGNIFICANT_SHARE = 0.2;
+
+// Tonics a clip spends at least minShare of its length in, most time first,
+// as { key, share, strength }. Spans are grouped by tonic like the circle;
+// clips without a key timeline spend all their time in their global key.
+function getSignificantKeys(analysis, minShare = KEY_SIGNIFICANT_SHARE) {
+  if (!analysis) return [];
+  const timeline = analysis.keyTimeline;
+  if (!timeline || timeline.length === 0) {
+    return [{ key: analysis.key, share: 1, strength: analysis.keyStrength || 0.5 }];
+  }
+  
+  const totalTime = timeline.reduce((sum, span) => sum + (span.end - span.start), 0) || 1;
+  const keys = new Map();
+  timeline.forEach(span => {
+    const time = span.end - span.start;
+    const entry = keys.get(span.key) || { key: span.key, time: 0, weightedStrength: 0 };
+    entry.time += time;
+    entry.weightedStrength += span.strength * time;
+    keys.set(span.key, entry);
+  });
+  
+  return [...keys.values()]
+    .map(entry => ({ key: entry.key, share: entry.time / totalTime, strength: entry.time > 0 ? entry.weightedStrength / entry.time : 0 }))
+    .filter(entry => entry.share >= minShare)
+    .sort((a, b) => b.share - a.share);
+}
+
+// Column of the tuning view for a clip's tuning analysis
+function getTuningCategory(analysis) {
+  const tuning = analysis && analysis.tuning;
+  if (!tuning) return TUNING_CATEGORIES.indexOf('Unknown');
+  if (tuning.drifting) return TUNING_CATEGORIES.indexOf('Drifting');
+  if (!tuning.detuned) return TUNING_CATEGORIES.indexOf('A440');
+  if (Math.abs(tuning.cents) > 30) return TUNING_CATEGORIES.indexOf('Quarter-tone off');
+  return TUNING_CATEGORIES.indexOf(tuning.cents > 0 ? 'Sharp' : 'Flat');
+}
+
+function getTuningCoordinates(analysis, maxWidth = 600, maxHeight = 400) {
+  return getColumnCoordinates(getTuningCategory(analysis), TUNING_CATEGORIES.length, maxWidth, maxHeight);
+}
+
+// Random position in one of categoryCount columns, below the column headers
+function getColumnCoordinates(categoryIndex, categoryCount, maxWidth, maxHeight) {
+  const categoryWidth = maxWidth / categoryCount;
+  const headerHeight = 60;
+  const availableHeight = maxHeight - headerHeight - 40; // Leave space at bottom for UI text
+  
+  // Position clips in columns below headers
+  const columnX = -maxWidth/2 + categoryIndex * categoryWidth + categoryWidth/2;
+  const columnWidth = categoryWidth - 20; // Leave some margin
+  
+  // Random position within the column, below the header
+  const x = columnX + (Math.random() - 0.5) * (columnWidth * 0.8);
+  const y = headerHeight/2 + Math.random() * (availableHeight * 0.8);
+  
+  return {
+    x: x,
+    y: y,
+    categoryIndex: categoryIndex
+  };
+}
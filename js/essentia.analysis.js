@@ -0,0 +1,1760 @@
+// essentia.analysis.js - Essentia analysis shared by the analysis workers,
+// the main-thread fallback and Node tooling. ES module; analysis state
+// (Essentia instance, descriptor registry) is per importing context.
+
+// Essentia.js ES module builds, loaded at init from a vendored copy
+// (libraries/ by default) and from the CDN only if the local copy is missing
+const ESSENTIA_CORE_FILE = 'essentia.js-core.es.js';
+const ESSENTIA_WASM_FILE = 'essentia-wasm.es.js';
+const DEFAULT_ESSENTIA_BASE_PATH = '../libraries/'; // Relative to this module
+const ESSENTIA_CDN_BASE_PATH = 'https://cdn.jsdelivr.net/npm/essentia.js@0.1.3/dist/';
+
+let essentia = null;
+let isInitialized = false;
+
+// Thrown at a checkpoint once the running job has been cancelled
+class AnalysisCancelledError extends Error {}
+
+// Initialize Essentia. basePath is the folder holding the Essentia.js
+// builds, absolute or relative to this module.
+async function initializeEssentia(basePath = DEFAULT_ESSENTIA_BASE_PATH) {
+  try {
+    console.log('[Worker] Initializing Essentia...');
+    
+    let modules;
+    let source = 'local';
+    try {
+      modules = await importEssentiaModules(new URL(basePath, import.meta.url).href);
+    } catch (error) {
+      console.warn(`[Worker] ⚠️ No local Essentia build at ${basePath} (${error.message}), falling back to CDN`);
+      modules = await importEssentiaModules(ESSENTIA_CDN_BASE_PATH);
+      source = 'cdn';
+    }
+    
+    // Create Essentia instance
+    essentia = new modules.Essentia(modules.EssentiaWASM);
+    isInitialized = true;
+    
+    console.log(`[Worker] ✅ Essentia initialized successfully (${source} build)`);
+    return { success: true, source };
+    
+  } catch (error) {
+    console.error('[Worker] ❌ Error initializing Essentia:', error);
+    isInitialized = false;
+    return { success: false, error: error.message };
+  }
+}
+
+// Import the core and WASM builds from one folder; a missing or placeholder
+// file (e.g. a saved 404 page) throws so the caller can try elsewhere
+async function importEssentiaModules(baseUrl) {
+  const folder = baseUrl.endsWith('/') ? baseUrl : baseUrl + '/';
+  const [core, wasm] = await Promise.all([
+    import(folder + ESSENTIA_CORE_FILE),
+    import(folder + ESSENTIA_WASM_FILE)
+  ]);
+
+  if (typeof core.default !== 'function' || !wasm.EssentiaWASM) {
+    throw new Error(`Incomplete Essentia build in ${folder}`);
+  }
+  return { Essentia: core.default, EssentiaWASM: wasm.EssentiaWASM };
+}
+
+// Frame-based analysis settings
+const DEFAULT_SAMPLE_RATE = 44100; // RhythmExtractor2013 only supports 44.1 kHz, so the main thread resamples to this
+const FRAME_SIZE = 2048;
+const HOP_SIZE = 1024;
+const SERIES_RESOLUTION = 1.0; // Seconds per point in the returned time series
+const SUMMARY_PERCENTILES = [10, 25, 50, 75, 90];
+const MFCC_COEFFICIENTS = 13;
+const BEATS_PER_BAR = 4; // Downbeat estimation assumes 4/4
+const RHYTHM_CONFIDENCE_MAX = 5.32; // Upper bound of RhythmExtractor2013's multifeature confidence
+const PROGRESSION_LENGTH = 4; // Chords per loop in the condensed progression summary
+const KEY_WINDOW = 8; // Seconds of HPCP per windowed key estimate
+const KEY_WINDOW_HOP = 4; // Seconds between windowed key estimates
+const CHECKPOINT_FRAMES = 1000; // Frames analysed between cancellation checks and progress reports
+
+// EBU R128 loudness settings
+const LOUDNESS_HOP_SIZE = 0.1; // Seconds between LoudnessEBUR128 short-term values
+const LOUDNESS_FLOOR = -70; // LUFS/dBTP reported for silence (the BS.1770 absolute gate)
+const TRUE_PEAK_OVERSAMPLING = 4;
+const TRUE_PEAK_TAPS = 12; // Interpolation filter taps per phase, as in BS.1770-4 Annex 2
+
+// Tuning estimation settings
+const TUNING_FRAME_SIZE = 4096;
+const TUNING_HOP_SIZE = 8192; // Every other frame is plenty for a reference that changes slowly
+const TUNING_WINDOW = 10; // Seconds per point of the drift track
+const DETUNED_CENTS = 15; // Flag clips whose reference is further than this from A440
+const DRIFT_CENTS = 10; // Flag clips whose windows' references span more than this
+
+// Timbre settings
+const TIMBRE_HOP_SIZE = 4096; // Every fourth frame is enough for whole-clip timbre statistics
+const TIMBRE_MIN_RMS = 0.01; // Quieter frames are skipped
+const CONTRAST_BANDS = 6;
+const CREST_CLEAN = 2.5; // Frame crest factor (peak / RMS) above which a frame counts as unclipped
+const CREST_SQUARE = 1; // Crest factor of a square wave, i.e. hard clipping
+
+// BeatsLoudness settings
+const BEAT_DURATION = 0.05; // Seconds of each beat measured
+const BEAT_WINDOW_DURATION = 0.1; // Seconds around each tick searched for the beat onset
+const BEAT_FREQUENCY_BANDS = [20, 150, 400, 3200, 7000, 22000]; // Hz; the first band is the bass share
+
+// Note transcription settings. PitchYinProbabilistic in this Essentia.js build
+// is off by up to several semitones, so the pitch track comes from PitchMelodia.
+const PITCH_HOP_SIZE = 256;
+const PITCH_MIN_FREQUENCY = 40; // Hz; low E of a four-string bass is 41 Hz
+const PITCH_SALIENCE_REFERENCE = 27.5; // Hz of PitchMelodia's lowest salience bin (its default 55 Hz cuts off bass)
+const NOTE_MIN_DURATION = 0.1; // Seconds
+const NOTE_VELOCITY_FLOOR = -48; // dB RMS of a note at velocity 1; 0 dB is 127
+
+// Analysis stages in order, with their rough share of the total analysis time
+const ANALYSIS_STAGES = [
+  { name: 'decode', weight: 0.05 },
+  { name: 'tuning', weight: 0.04 },
+  { name: 'features', weight: 0.3 },
+  { name: 'key', weight: 0.02 },
+  { name: 'descriptors', weight: 0.02 },
+  { name: 'timbre', weight: 0.05 },
+  { name: 'loudness', weight: 0.04 },
+  { name: 'rhythm', weight: 0.2 },
+  { name: 'notes', weight: 0.15 },
+  { name: 'chords', weight: 0.05 },
+  { name: 'loops', weight: 0.02 },
+  { name: 'segmentation', weight: 0.06 }
+];
+
+// Descriptor registry: the frame-wise and whole-signal descriptors computed on
+// top of the built-in key, rhythm, chord and section analysis. Entries:
+//   name      - key in analysis.summary and analysis.timeSeries
+//   algorithm - Essentia.js algorithm, e.g. 'RMS'
+//   input     - 'frame' (time-domain frame), 'spectrum' (magnitude spectrum of
+//               the Hann-windowed frame) or 'signal' (the whole file, once)
+//   params    - positional parameters after the input; '$sampleRate',
+//               '$nyquist' and '$frameSize' are filled in when it runs
+//   output    - the scalar algorithm output to keep
+//   frameSize, hopSize - framing for frame/spectrum inputs (default FRAME_SIZE/HOP_SIZE)
+//   field     - optional top-level analysis field, set from the mean (or the
+//               signal value) after normalization
+//   normalize - optional { range: [min, max] }, mapped and clamped to 0-1
+// The init message can pass { pipeline: { descriptors } } to override entries
+// by name, add new ones, or drop one with { name, enabled: false }.
+const DEFAULT_DESCRIPTORS = [
+  { name: 'energy', algorithm: 'RMS', input: 'frame', output: 'rms', field: 'energy', normalize: { range: [0, 1 / 3] } },
+  { name: 'centroid', algorithm: 'Centroid', input: 'spectrum', params: ['$nyquist'], output: 'centroid', field: 'mood', normalize: { range: [0, 5000] } },
+  { name: 'loudness', algorithm: 'Loudness', input: 'frame', output: 'loudness', field: 'loudness' },
+  { name: 'onsetRate', algorithm: 'OnsetRate', input: 'signal', output: 'onsetRate', field: 'onsetRate' },
+  { name: 'dynamicComplexity', algorithm: 'DynamicComplexity', input: 'signal', params: [0.2, '$sampleRate'], output: 'dynamicComplexity', field: 'dynamicComplexity' },
+  { name: 'danceability', algorithm: 'Danceability', input: 'signal', params: [8800, 310, '$sampleRate', 1.1], output: 'danceability', field: 'danceability' }
+];
+const DESCRIPTOR_INPUTS = ['frame', 'spectrum', 'signal'];
+let descriptors = DEFAULT_DESCRIPTORS;
+
+// Result schema version, which js/AnalysisSchema.js validates every result
+// against. Bump when the shape or meaning of a field changes, and add a step
+// to migrateAnalysis there. Results without schemaVersion are version 1:
+// everything produced before the schema existed (old caches, hand-written
+// dummy data). index.html shares this and the other exports marked below
+// with the main-thread scripts.
+const ANALYSIS_SCHEMA_VERSION = 3;
+const FLAT_KEY_NAMES = { 'Db': 'C#', 'Eb': 'D#', 'Gb': 'F#', 'Ab': 'G#', 'Bb': 'A#' }; // Key reports some tonics as flats
+
+// Segmentation settings (in time-series points, i.e. SERIES_RESOLUTION seconds each)
+const NOVELTY_KERNEL_HALF_SIZE = 8;
+const MIN_SECTION_POINTS = 8;
+const SECTION_SIMILARITY_THRESHOLD = 0.8;
+
+// Loop detection settings (on the beat grid)
+const LOOP_BAR_LENGTHS = [1, 2, 4, 8]; // Candidate loop lengths in bars
+const LOOP_LENGTH_TOLERANCE = 0.03; // Shorter loops within this lag similarity of the best win (multiples of the loop score alike)
+const LOOP_MIN_SIMILARITY = 0.5; // Mean similarity a lag needs to count as a loop at all
+const LOOP_REPEAT_SIMILARITY = 0.7; // Similarity of a bar-aligned span to the loop for it to count as a repeat
+const LOOP_CANDIDATES = 3;
+
+// Riff fingerprints for matching clips against each other (compareRiffs)
+const RIFF_CHROMA_BEATS = 32; // Beats of HPCP kept from the loop start (8 bars of 4/4)
+const RIFF_MIN_BEATS = 8;
+const RIFF_SUBDIVISIONS = 2; // HPCP vectors per beat (eighth notes in 4/4)
+const RIFF_FRAME_STACK = 4; // Vectors stacked into one ChromaCrossSimilarity feature
+const RIFF_BINARIZE_PERCENTILE = 0.095;
+
+// Analyze the whole audio buffer frame by frame. Optional hooks:
+//   onProgress(progress) - called with { stage, stageFraction, fraction }
+//   isCancelled()        - checked between stages; stops the job with an AnalysisCancelledError
+// channels are the left/right signals at sampleRate for EBU R128 loudness;
+// without them the mono audioBuffer is measured as a single channel.
+async function analyzeAudio(audioBuffer, sampleRate = DEFAULT_SAMPLE_RATE, stereo = null, hooks = {}, channels = null) {
+  if (!isInitialized || !essentia) {
+    console.log('[Worker] Using mock analysis');
+    return generateMockAnalysis('Essentia is not initialized');
+  }
+
+  try {
+    console.log(`[Worker] Analyzing audio (buffer length: ${audioBuffer.length}, sample rate: ${sampleRate})`);
+    const analysis = { schemaVersion: ANALYSIS_SCHEMA_VERSION, provenance: {} };
+    
+    // Convert to Float32Array
+    const audioFloat32 = audioBuffer instanceof Float32Array ? audioBuffer : new Float32Array(audioBuffer);
+    analysis.duration = audioFloat32.length / sampleRate;
+    analysis.sampleRate = sampleRate;
+    
+    // Stereo image measured before the mono downmix
+    analysis.stereo = stereo;
+    markProvenance(analysis, stereo ? ['duration', 'sampleRate', 'stereo'] : ['duration', 'sampleRate'], 'measured');
+    
+    // Tuning reference first, so HPCP (and with it key and chords) can use it
+    reportProgress(hooks, 'tuning', 0);
+    try {
+      analysis.tuning = await estimateTuning(audioFloat32, sampleRate, hooks);
+      analysis.tuningFrequency = analysis.tuning ? analysis.tuning.frequency : null;
+      analysis.tuningCents = analysis.tuning ? analysis.tuning.cents : null;
+      if (analysis.tuning) markProvenance(analysis, ['tuning', 'tuningFrequency', 'tuningCents'], 'measured');
+      console.log('[Worker] Tuning:', analysis.tuningFrequency, 'Hz, drift', analysis.tuning && analysis.tuning.drift, 'cents');
+    } catch (e) {
+      if (e instanceof AnalysisCancelledError) throw e;
+      console.warn('[Worker] Tuning estimation failed:', e);
+      analysis.tuning = null;
+      analysis.tuningFrequency = 440;
+      analysis.tuningCents = 0;
+      markProvenance(analysis, ['tuningFrequency', 'tuningCents'], 'fallback', `TuningFrequency failed: ${errorMessage(e)}`);
+    }
+    
+    // Per-frame HPCP/MFCC and registry descriptors over the whole file
+    reportProgress(hooks, 'features', 0);
+    const frames = await computeFrameFeatures(audioFloat32, sampleRate, hooks, analysis.tuningFrequency || 440);
+    console.log(`[Worker] Computed features for ${frames.count} frames`);
+    
+    const framesPerPoint = Math.max(1, Math.round(SERIES_RESOLUTION * sampleRate / HOP_SIZE));
+    analysis.summary = { hpcp: summarizeVectors(frames.hpcp), mfcc: summarizeVectors(frames.mfcc) };
+    analysis.timeSeries = {
+      resolution: framesPerPoint * HOP_SIZE / sampleRate,
+      hpcp: downsampleVectors(frames.hpcp, framesPerPoint)
+    };
+    markProvenance(analysis, ['summary', 'timeSeries'], 'measured');
+    
+    // Summaries, time series and top-level fields (energy, mood, loudness, ...) of the frame-wise descriptors
+    for (const [name, series] of Object.entries(frames.descriptors)) {
+      const entry = descriptors.find(descriptor => descriptor.name === name);
+      const pointFrames = Math.max(1, Math.round(SERIES_RESOLUTION * sampleRate / (entry.hopSize || HOP_SIZE)));
+      analysis.summary[name] = summarize(series);
+      analysis.timeSeries[name] = downsampleSeries(series, pointFrames);
+      
+      if (entry.field) {
+        analysis[entry.field] = normalizeDescriptor(entry, analysis.summary[name].mean);
+        markProvenance(analysis, [entry.field], 'measured');
+        console.log(`[Worker] ${entry.field} (${entry.algorithm}):`, analysis[entry.field]);
+      }
+    }
+    
+    // Key detection from the whole-file mean HPCP
+    reportProgress(hooks, 'key', 0);
+    try {
+      const hpcpVector = essentia.arrayToVector(new Float32Array(analysis.summary.hpcp.mean));
+      let keyResult;
+      try {
+        keyResult = essentia.Key(hpcpVector, 4, 12);
+      } finally {
+        hpcpVector.delete();
+      }
+      analysis.key = FLAT_KEY_NAMES[keyResult.key] || keyResult.key;
+      analysis.scale = keyResult.scale;
+      analysis.keyStrength = keyResult.strength;
+      markProvenance(analysis, ['key', 'scale', 'keyStrength'], 'measured');
+      // Key gives strength -1 when it finds no tonal content, e.g. in silence
+      if (keyResult.strength < 0) {
+        analysis.keyStrength = null;
+        markProvenance(analysis, ['keyStrength'], 'fallback', 'Key found no tonal content');
+      }
+      console.log('[Worker] Key:', analysis.key, analysis.scale);
+    } catch (e) {
+      console.warn('[Worker] Key detection failed:', e);
+      analysis.key = 'C';
+      analysis.scale = 'major';
+      analysis.keyStrength = 0.5;
+      markProvenance(analysis, ['key', 'scale', 'keyStrength'], 'fallback', `Key failed: ${errorMessage(e)}`);
+    }
+    
+    // Key timeline from overlapping windows, for clips that modulate
+    try {
+      analysis.keyTimeline = estimateKeyTimeline(frames, analysis.duration);
+      markProvenance(analysis, ['keyTimeline'], 'measured');
+      console.log('[Worker] Key timeline:', analysis.keyTimeline.map(span => `${span.key} ${span.scale}`).join(' → '));
+    } catch (e) {
+      console.warn('[Worker] Windowed key detection failed:', e);
+      analysis.keyTimeline = null;
+    }
+    await checkpoint(hooks);
+    
+    // Whole-signal registry descriptors
+    reportProgress(hooks, 'descriptors', 0);
+    const audioVector = essentia.arrayToVector(audioFloat32);
+    // Deleted however the stages below end, including a cancellation at a checkpoint
+    try {
+      for (const entry of descriptors.filter(descriptor => descriptor.input === 'signal')) {
+        try {
+          const value = runDescriptor(entry, audioVector, sampleRate, audioFloat32.length);
+          analysis.summary[entry.name] = roundValue(value);
+          if (entry.field) {
+            analysis[entry.field] = normalizeDescriptor(entry, value);
+            markProvenance(analysis, [entry.field], 'measured');
+          }
+          console.log(`[Worker] ${entry.name} (${entry.algorithm}):`, value);
+        } catch (e) {
+          console.warn(`[Worker] Descriptor ${entry.name} failed:`, e);
+        }
+      }
+      await checkpoint(hooks);
+      
+      // Spectral contrast, inharmonicity and distortion, to tell clean, driven and bass takes apart
+      reportProgress(hooks, 'timbre', 0);
+      try {
+        const timbre = await computeTimbre(audioFloat32, sampleRate, hooks);
+        analysis.summary.timbre = timbre;
+        analysis.inharmonicity = timbre.inharmonicity ? timbre.inharmonicity.mean : null;
+        analysis.distortion = timbre.distortion ? timbre.distortion.mean : null;
+        markProvenance(analysis, ['inharmonicity', 'distortion'].filter(field => analysis[field] !== null), 'measured');
+        console.log('[Worker] Timbre: inharmonicity', analysis.inharmonicity, 'distortion', analysis.distortion);
+      } catch (e) {
+        if (e instanceof AnalysisCancelledError) throw e;
+        console.warn('[Worker] Timbre analysis failed:', e);
+        analysis.inharmonicity = null;
+        analysis.distortion = null;
+      }
+      await checkpoint(hooks);
+      
+      // EBU R128 integrated loudness, loudness range, short-term curve and true peak
+      reportProgress(hooks, 'loudness', 0);
+      try {
+        const loudness = measureLoudnessEBU(channels || [audioFloat32], sampleRate);
+        analysis.integratedLoudness = loudness.integrated;
+        analysis.loudnessRange = loudness.range;
+        analysis.truePeak = loudness.truePeak;
+        analysis.timeSeries.shortTermLoudness = loudness.shortTerm;
+        markProvenance(analysis, ['integratedLoudness', 'loudnessRange', 'truePeak'], 'measured');
+        console.log(`[Worker] Loudness: ${loudness.integrated} LUFS, LRA ${loudness.range} LU, true peak ${loudness.truePeak} dBTP`);
+      } catch (e) {
+        console.warn('[Worker] EBU R128 loudness failed:', e);
+        analysis.integratedLoudness = null;
+        analysis.loudnessRange = null;
+        analysis.truePeak = null;
+      }
+      await checkpoint(hooks);
+      
+      // Tempo detection from the median of local beat-to-beat tempi, keeping the beat grid
+      reportProgress(hooks, 'rhythm', 0);
+      let rhythmResult = null;
+      try {
+        rhythmResult = essentia.RhythmExtractor2013(audioVector);
+        const intervals = essentia.vectorToArray(rhythmResult.bpmIntervals);
+        const beatTimes = Array.from(essentia.vectorToArray(rhythmResult.ticks));
+        const localTempi = Array.from(intervals).filter(interval => interval > 0).map(interval => 60 / interval);
+        analysis.summary.tempo = localTempi.length > 0 ? summarize(localTempi) : null;
+        analysis.tempo = analysis.summary.tempo ? analysis.summary.tempo.percentiles.p50 : rhythmResult.bpm;
+        if (!(analysis.tempo > 0)) throw new Error('no beats found');
+        console.log('[Worker] Tempo:', analysis.tempo);
+        
+        const downbeatPhase = estimateDownbeatPhase(beatTimes, frames);
+        analysis.beats = {
+          times: beatTimes.map(time => roundValue(time)),
+          confidence: roundValue(Math.min(rhythmResult.confidence / RHYTHM_CONFIDENCE_MAX, 1.0)),
+          beatsPerBar: BEATS_PER_BAR,
+          downbeatPhase: downbeatPhase,
+          downbeats: beatTimes.filter((time, i) => i % BEATS_PER_BAR === downbeatPhase).map(time => roundValue(time))
+        };
+        console.log('[Worker] Beats:', beatTimes.length, 'bars:', analysis.beats.downbeats.length);
+        markProvenance(analysis, ['tempo', 'beats'], 'measured');
+        
+        try {
+          const beatsLoudness = measureBeatsLoudness(audioVector, rhythmResult.ticks, sampleRate);
+          analysis.summary.beatsLoudness = beatsLoudness.summary;
+          analysis.summary.beatsLoudnessBandRatio = beatsLoudness.bandRatio;
+          analysis.beatLoudness = beatsLoudness.summary.mean;
+          analysis.beatBassRatio = beatsLoudness.bandRatio[0];
+          markProvenance(analysis, ['beatLoudness', 'beatBassRatio'], 'measured');
+          console.log('[Worker] Beat loudness:', analysis.beatLoudness, 'dB, bass share', analysis.beatBassRatio);
+        } catch (e) {
+          console.warn('[Worker] BeatsLoudness failed:', e);
+        }
+      } catch (e) {
+        console.warn('[Worker] Tempo detection failed:', e);
+        analysis.tempo = 120;
+        analysis.beats = null;
+        markProvenance(analysis, ['tempo'], 'fallback', `RhythmExtractor2013 failed: ${errorMessage(e)}`);
+      } finally {
+        if (rhythmResult) {
+          rhythmResult.ticks.delete();
+          rhythmResult.estimates.delete();
+          rhythmResult.bpmIntervals.delete();
+        }
+      }
+      await checkpoint(hooks);
+      
+      // Note list of the predominant (for riffs and bass lines, the only) melody
+      reportProgress(hooks, 'notes', 0);
+      try {
+        analysis.notes = transcribeNotes(audioVector, audioFloat32, sampleRate, analysis.tuningFrequency || 440);
+        markProvenance(analysis, ['notes'], 'measured');
+        console.log('[Worker] Notes:', analysis.notes.length);
+      } catch (e) {
+        console.warn('[Worker] Note transcription failed:', e);
+        analysis.notes = null;
+      }
+    } finally {
+      audioVector.delete();
+    }
+    await checkpoint(hooks);
+    
+    // Chord sequence from frame-wise HPCP, aligned to the beat grid when there is one
+    reportProgress(hooks, 'chords', 0);
+    try {
+      analysis.chords = extractChords(frames, analysis.beats, analysis.duration);
+      markProvenance(analysis, ['chords'], 'measured');
+      console.log('[Worker] Chords:', analysis.chords.sequence.length, 'progression:', analysis.chords.progression.chords.join(' '));
+    } catch (e) {
+      console.warn('[Worker] Chord detection failed:', e);
+      analysis.chords = null;
+    }
+    await checkpoint(hooks);
+    
+    // Dominant repeating riff from beat-synchronous MFCC/HPCP self-similarity
+    reportProgress(hooks, 'loops', 0);
+    if (analysis.beats) {
+      try {
+        analysis.loop = detectLoop(frames, analysis.beats);
+        analysis.riffChroma = extractRiffChroma(frames, analysis.beats, analysis.loop);
+        markProvenance(analysis, ['loop', 'riffChroma'], 'measured');
+        console.log('[Worker] Loop:', analysis.loop ? `${analysis.loop.bars} bars × ${analysis.loop.repeats} from ${analysis.loop.start}s` : 'none');
+      } catch (e) {
+        console.warn('[Worker] Loop detection failed:', e);
+        analysis.loop = null;
+        analysis.riffChroma = null;
+      }
+    } else {
+      analysis.loop = null;
+      analysis.riffChroma = null;
+    }
+    await checkpoint(hooks);
+    
+    // Section segmentation from MFCC/HPCP self-similarity
+    reportProgress(hooks, 'segmentation', 0);
+    try {
+      analysis.segments = segmentSections(frames, framesPerPoint, analysis.duration);
+      analysis.structure = dominantSectionLabel(analysis.segments);
+      markProvenance(analysis, ['segments', 'structure'], 'measured');
+      console.log('[Worker] Segments:', analysis.segments.length, 'dominant:', analysis.structure);
+    } catch (e) {
+      console.warn('[Worker] Segmentation failed:', e);
+      analysis.segments = [];
+      analysis.structure = estimateStructure(analysis.energy);
+      markProvenance(analysis, ['segments', 'structure'], 'fallback', `Segmentation failed: ${errorMessage(e)}`);
+    }
+    reportProgress(hooks, 'segmentation', 1);
+    
+    console.log('[Worker] ✅ Analysis complete:', analysis);
+    return analysis;
+    
+  } catch (error) {
+    if (error instanceof AnalysisCancelledError) throw error;
+    console.error('[Worker] ❌ Error analyzing audio:', error);
+    return generateMockAnalysis(`Analysis failed: ${errorMessage(error)}`);
+  }
+}
+
+// Timbre statistics over every TIMBRE_HOP_SIZE frame that isn't near-silent:
+// SpectralContrast and its valleys per band, and for pitched frames the
+// inharmonicity and tristimulus of the harmonic peaks. distortion is a rough
+// 0-1 estimate per frame, from the crest factor falling towards a square
+// wave's and from energy moving into the upper harmonics (tristimulus 3).
+async function computeTimbre(audio, sampleRate, hooks = {}) {
+  const frameCount = countFrames(audio.length, FRAME_SIZE, TIMBRE_HOP_SIZE);
+  const contrast = [];
+  const valley = [];
+  const crest = [];
+  const inharmonicity = [];
+  const tristimulus = [];
+  const distortion = [];
+
+  for (let i = 0; i < frameCount; i++) {
+    if (i > 0 && i % CHECKPOINT_FRAMES === 0) {
+      reportProgress(hooks, 'timbre', i / frameCount);
+      await checkpoint(hooks);
+    }
+    
+    const frame = audio.subarray(i * TIMBRE_HOP_SIZE, i * TIMBRE_HOP_SIZE + FRAME_SIZE);
+    let energy = 0;
+    let peak = 0;
+    for (let j = 0; j < frame.length; j++) {
+      energy += frame[j] * frame[j];
+      peak = Math.max(peak, Math.abs(frame[j]));
+    }
+    const rms = Math.sqrt(energy / FRAME_SIZE);
+    if (frame.length < FRAME_SIZE || rms < TIMBRE_MIN_RMS) continue;
+    
+    const frameVector = essentia.arrayToVector(frame);
+    const windowed = essentia.Windowing(frameVector, true, FRAME_SIZE, 'hann').frame;
+    const spectrum = essentia.Spectrum(windowed, FRAME_SIZE).spectrum;
+    const contrastResult = essentia.SpectralContrast(spectrum, FRAME_SIZE, 11000, 20, 0.4, CONTRAST_BANDS, sampleRate, true);
+    const pitch = essentia.PitchYinFFT(spectrum, FRAME_SIZE, true, 22050, 20, sampleRate, 1);
+    const peaks = essentia.SpectralPeaks(spectrum, 0, 15000, 100, 20, 'frequency', sampleRate);
+    contrast.push(essentia.vectorToArray(contrastResult.spectralContrast));
+    valley.push(essentia.vectorToArray(contrastResult.spectralValley));
+    crest.push(peak / rms);
+    
+    let upperHarmonics = 0;
+    if (pitch.pitch > 0 && pitch.pitchConfidence > 0.5) {
+      let harmonics = null;
+      try {
+        harmonics = essentia.HarmonicPeaks(peaks.frequencies, peaks.magnitudes, pitch.pitch, 20, 0.2);
+        const tristimulusVector = essentia.Tristimulus(harmonics.harmonicFrequencies, harmonics.harmonicMagnitudes).tristimulus;
+        const frameTristimulus = essentia.vectorToArray(tristimulusVector);
+        tristimulusVector.delete();
+        tristimulus.push(frameTristimulus);
+        upperHarmonics = frameTristimulus[2];
+        inharmonicity.push(essentia.Inharmonicity(harmonics.harmonicFrequencies, harmonics.harmonicMagnitudes).inharmonicity);
+      } catch (e) {
+        // No usable harmonics in this frame
+      }
+      if (harmonics) {
+        harmonics.harmonicFrequencies.delete();
+        harmonics.harmonicMagnitudes.delete();
+      }
+    }
+    const clipping = Math.min(Math.max((CREST_CLEAN - peak / rms) / (CREST_CLEAN - CREST_SQUARE), 0), 1);
+    distortion.push(0.6 * clipping + 0.4 * Math.min(upperHarmonics * 2, 1));
+    
+    frameVector.delete();
+    windowed.delete();
+    spectrum.delete();
+    contrastResult.spectralContrast.delete();
+    contrastResult.spectralValley.delete();
+    peaks.frequencies.delete();
+    peaks.magnitudes.delete();
+  }
+
+  const roundVectors = summary => ({ mean: summary.mean.map(value => roundValue(value)), variance: summary.variance.map(value => roundValue(value)) });
+  return {
+    contrast: contrast.length > 0 ? roundVectors(summarizeVectors(contrast)) : null,
+    valley: valley.length > 0 ? roundVectors(summarizeVectors(valley)) : null,
+    crest: crest.length > 0 ? summarize(crest) : null,
+    inharmonicity: inharmonicity.length > 0 ? summarize(inharmonicity) : null,
+    tristimulus: tristimulus.length > 0 ? summarizeVectors(tristimulus).mean.map(value => roundValue(value)) : null,
+    distortion: distortion.length > 0 ? summarize(distortion) : null
+  };
+}
+
+// Key of each KEY_WINDOW of mean HPCP, KEY_WINDOW_HOP apart; neighbouring
+// windows in the same key are merged into spans { start, end, key, scale,
+// strength } (strength averaged). Each window owns the time closest to its
+// centre, so the spans tile the whole clip.
+function estimateKeyTimeline(frames, duration) {
+  const framesPerSecond = frames.sampleRate / HOP_SIZE;
+  const windowFrames = Math.max(1, Math.round(KEY_WINDOW * framesPerSecond));
+  const hopFrames = Math.max(1, Math.round(KEY_WINDOW_HOP * framesPerSecond));
+  const windowCount = Math.max(1, Math.floor((frames.hpcp.length - windowFrames) / hopFrames) + 1); // Full windows only, unless the clip is shorter
+
+  const spans = [];
+  for (let w = 0; w < windowCount; w++) {
+    const start = w * hopFrames;
+    const window = frames.hpcp.slice(start, start + windowFrames);
+    if (window.length === 0) break;
+    
+    const mean = new Float32Array(window[0].length);
+    window.forEach(chroma => chroma.forEach((value, bin) => { mean[bin] += value / window.length; }));
+    const hpcpVector = essentia.arrayToVector(mean);
+    let keyResult;
+    try {
+      keyResult = essentia.Key(hpcpVector, 4, 12);
+    } finally {
+      hpcpVector.delete();
+    }
+    
+    const key = FLAT_KEY_NAMES[keyResult.key] || keyResult.key;
+    const centre = (start + window.length / 2) / framesPerSecond;
+    const boundary = w === 0 ? 0 : roundValue((spans[spans.length - 1].centre + centre) / 2);
+    const previous = spans[spans.length - 1];
+    if (previous && previous.key === key && previous.scale === keyResult.scale) {
+      previous.strengths.push(keyResult.strength);
+      previous.centre = centre;
+    } else {
+      if (previous) previous.end = boundary;
+      spans.push({ start: boundary, end: null, key, scale: keyResult.scale, strengths: [keyResult.strength], centre });
+    }
+  }
+  spans[spans.length - 1].end = roundValue(duration);
+
+  return spans.map(span => ({
+    start: span.start,
+    end: span.end,
+    key: span.key,
+    scale: span.scale,
+    strength: roundValue(span.strengths.reduce((sum, value) => sum + value, 0) / span.strengths.length)
+  }));
+}
+
+// Energy of each beat (in dB) and its share in each of BEAT_FREQUENCY_BANDS.
+// Essentia.js's BeatsLoudness wrapper never copies the beats and bands into
+// the vectors it passes on, so this calls the binding directly.
+function measureBeatsLoudness(audioVector, ticks, sampleRate) {
+  const bands = essentia.arrayToVector(new Float32Array(BEAT_FREQUENCY_BANDS));
+  try {
+    const result = essentia.algorithms.BeatsLoudness(audioVector, BEAT_DURATION, BEAT_WINDOW_DURATION, ticks, bands, sampleRate);
+    const loudness = Array.from(essentia.vectorToArray(result.loudness), energy => 10 * Math.log10(Math.max(energy, 1e-10)));
+    const bandRatio = new Array(BEAT_FREQUENCY_BANDS.length - 1).fill(0);
+    const beatCount = result.loudnessBandRatio.size();
+    for (let i = 0; i < beatCount; i++) {
+      const ratios = essentia.vectorToArray(result.loudnessBandRatio.get(i));
+      ratios.forEach((ratio, band) => { bandRatio[band] += ratio / beatCount; });
+    }
+    result.loudness.delete();
+    result.loudnessBandRatio.delete();
+    
+    if (loudness.length === 0) throw new Error('no beats to measure');
+    return { summary: summarize(loudness), bandRatio: bandRatio.map(ratio => roundValue(ratio)) };
+  } finally {
+    bands.delete();
+  }
+}
+
+// Notes ({ onset, duration, pitch, velocity }; seconds and MIDI numbers) from
+// the PitchMelodia pitch track, split into notes by PitchContourSegmentation.
+// Velocity follows the RMS level of the note.
+function transcribeNotes(audioVector, audio, sampleRate, tuningFrequency) {
+  const melody = essentia.PitchMelodia(audioVector, 10, 3, FRAME_SIZE, false, 0.8, PITCH_HOP_SIZE, 1, 40, 20000, 100,
+    PITCH_MIN_FREQUENCY, 20, 0.9, 0.9, 27.5625, PITCH_SALIENCE_REFERENCE, sampleRate);
+  const segmentation = essentia.PitchContourSegmentation(melody.pitch, audioVector, PITCH_HOP_SIZE, NOTE_MIN_DURATION, 60, -2, sampleRate, tuningFrequency);
+  const onsets = essentia.vectorToArray(segmentation.onset);
+  const durations = essentia.vectorToArray(segmentation.duration);
+  const pitches = essentia.vectorToArray(segmentation.MIDIpitch);
+  melody.pitch.delete();
+  melody.pitchConfidence.delete();
+  segmentation.onset.delete();
+  segmentation.duration.delete();
+  segmentation.MIDIpitch.delete();
+
+  return Array.from(onsets, (onset, i) => {
+    const start = Math.floor(onset * sampleRate);
+    const end = Math.min(audio.length, Math.ceil((onset + durations[i]) * sampleRate));
+    let energy = 0;
+    for (let j = start; j < end; j++) energy += audio[j] * audio[j];
+    const level = 10 * Math.log10(Math.max(energy / Math.max(end - start, 1), 1e-10)); // dB RMS
+    return {
+      onset: roundValue(onset),
+      duration: roundValue(durations[i]),
+      pitch: Math.round(pitches[i]),
+      velocity: Math.round(Math.min(Math.max(127 * (1 - level / NOTE_VELOCITY_FLOOR), 1), 127))
+    };
+  });
+}
+
+// EBU R128 descriptors of one or two channels. A single channel is paired
+// with silence, since BS.1770 weights a mono signal as one channel.
+function measureLoudnessEBU(channels, sampleRate) {
+  const left = essentia.arrayToVector(channels[0]);
+  const right = essentia.arrayToVector(channels.length > 1 ? channels[1] : new Float32Array(channels[0].length));
+  try {
+    // startAtZero centres the windows on their time, like the other time series
+    const result = essentia.LoudnessEBUR128(left, right, LOUDNESS_HOP_SIZE, sampleRate, true);
+    const shortTerm = Array.from(essentia.vectorToArray(result.shortTermLoudness), value => Math.max(value, LOUDNESS_FLOOR));
+    result.momentaryLoudness.delete();
+    result.shortTermLoudness.delete();
+    
+    return {
+      integrated: roundValue(Math.max(result.integratedLoudness, LOUDNESS_FLOOR), 2),
+      range: roundValue(result.loudnessRange, 2),
+      truePeak: roundValue(Math.max(...channels.slice(0, 2).map(channel => measureTruePeak(channel)), LOUDNESS_FLOOR), 2),
+      shortTerm: downsampleSeries(shortTerm, Math.max(1, Math.round(SERIES_RESOLUTION / LOUDNESS_HOP_SIZE)))
+    };
+  } finally {
+    left.delete();
+    right.delete();
+  }
+}
+
+// True peak in dBTP. Essentia's TruePeakDetector needs libsamplerate, which
+// the essentia.js WASM build leaves out, so this oversamples with a
+// windowed-sinc interpolator instead.
+function measureTruePeak(samples) {
+  const phases = truePeakFilter();
+  const half = TRUE_PEAK_TAPS / 2;
+  let peak = 0;
+
+  for (let i = 0; i < samples.length; i++) {
+    peak = Math.max(peak, Math.abs(samples[i]));
+    for (const taps of phases) {
+      let value = 0;
+      for (let k = 0; k < TRUE_PEAK_TAPS; k++) {
+        const index = i + k - half + 1;
+        if (index >= 0 && index < samples.length) value += taps[k] * samples[index];
+      }
+      peak = Math.max(peak, Math.abs(value));
+    }
+  }
+  return peak > 0 ? 20 * Math.log10(peak) : LOUDNESS_FLOOR;
+}
+
+// Hann-windowed sinc taps for the points between samples i and i + 1, one
+// row per intermediate phase
+let truePeakPhases = null;
+function truePeakFilter() {
+  if (truePeakPhases) return truePeakPhases;
+
+  const half = TRUE_PEAK_TAPS / 2;
+  truePeakPhases = [];
+  for (let phase = 1; phase < TRUE_PEAK_OVERSAMPLING; phase++) {
+    const offset = phase / TRUE_PEAK_OVERSAMPLING;
+    const taps = [];
+    for (let k = 0; k < TRUE_PEAK_TAPS; k++) {
+      const t = k - half + 1 - offset; // Distance from the interpolated point, in samples
+      const window = 0.5 * (1 + Math.cos(Math.PI * t / half));
+      taps.push(window * Math.sin(Math.PI * t) / (Math.PI * t));
+    }
+    const gain = taps.reduce((sum, tap) => sum + tap, 0);
+    truePeakPhases.push(taps.map(tap => tap / gain));
+  }
+  return truePeakPhases;
+}
+
+// Record where fields came from: 'measured', 'fallback' (a default used
+// because the algorithm failed, with the reason) or 'mock'. See PROVENANCE
+// in js/AnalysisSchema.js.
+function markProvenance(analysis, fields, source, error = null) {
+  fields.forEach(field => {
+    analysis.provenance[field] = error ? { source, error } : { source };
+  });
+}
+
+// Essentia.js throws plain strings as well as Errors
+function errorMessage(error) {
+  return error && error.message ? error.message : String(error);
+}
+
+// Yield to the event loop so pending messages (like 'cancel') are handled,
+// then stop the job if it was cancelled meanwhile
+async function checkpoint(hooks) {
+  await new Promise(resolve => setTimeout(resolve, 0));
+  if (hooks.isCancelled && hooks.isCancelled()) {
+    throw new AnalysisCancelledError('Analysis cancelled');
+  }
+}
+
+// Report how far the job has got: the current stage, how much of that
+// stage is done, and the overall fraction weighted by ANALYSIS_STAGES
+function reportProgress(hooks, stage, stageFraction) {
+  if (!hooks.onProgress) return;
+
+  let fraction = 0;
+  for (const { name, weight } of ANALYSIS_STAGES) {
+    if (name === stage) {
+      fraction += weight * stageFraction;
+      break;
+    }
+    fraction += weight;
+  }
+
+  hooks.onProgress({ stage, stageFraction, fraction: Math.min(fraction, 1) });
+}
+
+// Merge a pipeline config from the init message into the default registry,
+// dropping entries that name an unknown algorithm or input
+function configurePipeline(pipeline = {}) {
+  const merged = new Map(DEFAULT_DESCRIPTORS.map(entry => [entry.name, entry]));
+  for (const entry of pipeline.descriptors || []) {
+    if (entry.enabled === false) {
+      merged.delete(entry.name);
+    } else {
+      merged.set(entry.name, { ...merged.get(entry.name), ...entry });
+    }
+  }
+
+  descriptors = [...merged.values()].filter(entry => {
+    const valid = typeof essentia[entry.algorithm] === 'function' && DESCRIPTOR_INPUTS.includes(entry.input) && typeof entry.output === 'string';
+    if (!valid) console.warn(`[Worker] ⚠️ Ignoring invalid descriptor ${entry.name} (${entry.algorithm})`);
+    return valid;
+  });
+
+  console.log('[Worker] Descriptors:', descriptors.map(entry => entry.name).join(', '));
+  return descriptors.map(entry => entry.name);
+}
+
+// Run one registry entry on its input vector and return the scalar output
+function runDescriptor(entry, input, sampleRate, frameSize) {
+  const placeholders = { $sampleRate: sampleRate, $nyquist: sampleRate / 2, $frameSize: frameSize };
+  const params = (entry.params || []).map(param => param in placeholders ? placeholders[param] : param);
+  const result = essentia[entry.algorithm](input, ...params);
+  const value = result[entry.output];
+
+  // Free vector outputs, including ones we don't keep
+  Object.values(result).forEach(output => {
+    if (output && typeof output.delete === 'function') output.delete();
+  });
+
+  if (typeof value !== 'number') {
+    throw new Error(`${entry.algorithm}.${entry.output} is not a scalar`);
+  }
+  return value;
+}
+
+// Map a descriptor value to 0-1 using its normalize range, if it has one
+function normalizeDescriptor(entry, value) {
+  if (!entry.normalize || !entry.normalize.range) return value;
+  const [min, max] = entry.normalize.range;
+  return Math.max(0, Math.min((value - min) / (max - min), 1));
+}
+
+// Run frame/spectrum registry entries on one frame, storing each value at
+// index i; an entry that throws is reported once and left out of the result
+function computeFrameDescriptors(entries, values, i, frameVector, spectrum, sampleRate, frameSize) {
+  for (const entry of entries) {
+    if (!values[entry.name]) continue;
+    try {
+      values[entry.name][i] = runDescriptor(entry, entry.input === 'spectrum' ? spectrum : frameVector, sampleRate, frameSize);
+    } catch (e) {
+      console.warn(`[Worker] Descriptor ${entry.name} failed:`, e);
+      delete values[entry.name];
+    }
+  }
+}
+
+function countFrames(length, frameSize, hopSize) {
+  return length < frameSize ? 1 : Math.floor((length - frameSize) / hopSize) + 1;
+}
+
+// Compute per-frame descriptors without materialising every frame inside WASM.
+// HPCP, MFCC and RMS energy always use FRAME_SIZE/HOP_SIZE since key, chord,
+// downbeat and section detection depend on them; registry entries with the
+// same framing share this pass, others get a pass of their own.
+async function computeFrameFeatures(audio, sampleRate, hooks = {}, referenceFrequency = 440) {
+  const frameCount = countFrames(audio.length, FRAME_SIZE, HOP_SIZE);
+  const frameEntries = descriptors.filter(entry => entry.input !== 'signal');
+  const sharedEntries = frameEntries.filter(entry => (entry.frameSize || FRAME_SIZE) === FRAME_SIZE && (entry.hopSize || HOP_SIZE) === HOP_SIZE);
+  const features = {
+    count: frameCount,
+    sampleRate: sampleRate,
+    energy: new Float32Array(frameCount),
+    hpcp: [],
+    mfcc: [],
+    descriptors: Object.fromEntries(sharedEntries.map(entry => [entry.name, new Float32Array(frameCount)]))
+  };
+  const frame = new Float32Array(FRAME_SIZE);
+
+  for (let i = 0; i < frameCount; i++) {
+    if (i > 0 && i % CHECKPOINT_FRAMES === 0) {
+      reportProgress(hooks, 'features', i / frameCount);
+      await checkpoint(hooks);
+    }
+    
+    // Zero-pad the last frame when the file is shorter than one frame
+    frame.fill(0);
+    frame.set(audio.subarray(i * HOP_SIZE, i * HOP_SIZE + FRAME_SIZE));
+    
+    const frameVector = essentia.arrayToVector(frame);
+    const windowed = essentia.Windowing(frameVector, true, FRAME_SIZE, 'hann').frame;
+    const spectrum = essentia.Spectrum(windowed, FRAME_SIZE).spectrum;
+    const peaks = essentia.SpectralPeaks(spectrum, 0, 5000, 100, 40, 'magnitude', sampleRate);
+    const hpcp = essentia.HPCP(peaks.frequencies, peaks.magnitudes, true, 500, 0, 5000, false, 40, false, 'unitMax', referenceFrequency, sampleRate, 12).hpcp;
+    const mfccResult = essentia.MFCC(spectrum, 2, 11000, FRAME_SIZE / 2 + 1, 0, 'dbamp', 0, 'unit_sum', 40, MFCC_COEFFICIENTS, sampleRate);
+    
+    features.energy[i] = essentia.RMS(frameVector).rms;
+    computeFrameDescriptors(sharedEntries, features.descriptors, i, frameVector, spectrum, sampleRate, FRAME_SIZE);
+    features.hpcp.push(essentia.vectorToArray(hpcp));
+    features.mfcc.push(essentia.vectorToArray(mfccResult.mfcc));
+    
+    frameVector.delete();
+    windowed.delete();
+    spectrum.delete();
+    peaks.frequencies.delete();
+    peaks.magnitudes.delete();
+    hpcp.delete();
+    mfccResult.mfcc.delete();
+    mfccResult.bands.delete();
+  }
+
+  for (const entry of frameEntries.filter(entry => !sharedEntries.includes(entry))) {
+    const series = await computeDescriptorFrames(audio, sampleRate, entry, hooks);
+    if (series) features.descriptors[entry.name] = series;
+  }
+
+  return features;
+}
+
+// Tuning reference from per-frame TuningFrequency over the spectral peaks.
+// Cents wrap at a semitone, so frames are combined as a circular mean,
+// weighted by frame RMS; TUNING_WINDOW-second windows track drift. Returns
+// null for silence. A whole-semitone detuning (e.g. Eb standard) is
+// indistinguishable from A440 here and shows up in the key instead.
+async function estimateTuning(audio, sampleRate, hooks = {}) {
+  const frameCount = countFrames(audio.length, TUNING_FRAME_SIZE, TUNING_HOP_SIZE);
+  const framesPerWindow = Math.max(1, Math.round(TUNING_WINDOW * sampleRate / TUNING_HOP_SIZE));
+  const total = { x: 0, y: 0, weight: 0 };
+  const windows = [];
+  const frame = new Float32Array(TUNING_FRAME_SIZE);
+
+  for (let i = 0; i < frameCount; i++) {
+    if (i > 0 && i % CHECKPOINT_FRAMES === 0) {
+      reportProgress(hooks, 'tuning', i / frameCount);
+      await checkpoint(hooks);
+    }
+    if (i % framesPerWindow === 0) windows.push({ x: 0, y: 0, weight: 0 });
+    
+    frame.fill(0);
+    frame.set(audio.subarray(i * TUNING_HOP_SIZE, i * TUNING_HOP_SIZE + TUNING_FRAME_SIZE));
+    
+    const frameVector = essentia.arrayToVector(frame);
+    const weight = essentia.RMS(frameVector).rms;
+    const windowed = essentia.Windowing(frameVector, true, TUNING_FRAME_SIZE, 'hann').frame;
+    const spectrum = essentia.Spectrum(windowed, TUNING_FRAME_SIZE).spectrum;
+    const peaks = essentia.SpectralPeaks(spectrum, 0, 5000, 100, 40, 'magnitude', sampleRate);
+    
+    if (weight > 0 && peaks.frequencies.size() > 0) {
+      const angle = 2 * Math.PI * essentia.TuningFrequency(peaks.frequencies, peaks.magnitudes, 1).tuningCents / 100;
+      [total, windows[windows.length - 1]].forEach(sum => {
+        sum.x += weight * Math.cos(angle);
+        sum.y += weight * Math.sin(angle);
+        sum.weight += weight;
+      });
+    }
+    
+    frameVector.delete();
+    windowed.delete();
+    spectrum.delete();
+    peaks.frequencies.delete();
+    peaks.magnitudes.delete();
+  }
+
+  if (total.weight === 0) return null;
+
+  // Quiet windows (under a quarter of the average weight) give noisy estimates
+  const cents = circularCents(total);
+  const minWindowWeight = total.weight / windows.length / 4;
+  const windowCents = windows.map(sum => sum.weight >= minWindowWeight ? roundValue(circularCents(sum), 1) : null);
+  const deviations = windowCents.filter(value => value !== null).map(value => centsDifference(value, cents));
+  const drift = deviations.length > 0 ? deviations.reduce((max, value) => Math.max(max, value)) - deviations.reduce((min, value) => Math.min(min, value)) : 0;
+
+  return {
+    frequency: roundValue(440 * Math.pow(2, cents / 1200), 2),
+    cents: roundValue(cents, 1),
+    drift: roundValue(drift, 1),
+    detuned: Math.abs(cents) > DETUNED_CENTS,
+    drifting: drift > DRIFT_CENTS,
+    resolution: roundValue(framesPerWindow * TUNING_HOP_SIZE / sampleRate),
+    series: windowCents
+  };
+}
+
+// Cents from A440 (-50 to 50) of a weighted sum of unit vectors, one turn per semitone
+function circularCents(sum) {
+  return Math.atan2(sum.y, sum.x) * 100 / (2 * Math.PI);
+}
+
+// a - b in cents, wrapped to -50 to 50
+function centsDifference(a, b) {
+  return ((a - b + 150) % 100 + 100) % 100 - 50;
+}
+
+// Separate pass for a registry entry with its own frame/hop size
+async function computeDescriptorFrames(audio, sampleRate, entry, hooks = {}) {
+  const frameSize = entry.frameSize || FRAME_SIZE;
+  const hopSize = entry.hopSize || HOP_SIZE;
+  const frameCount = countFrames(audio.length, frameSize, hopSize);
+  const values = { [entry.name]: new Float32Array(frameCount) };
+  const frame = new Float32Array(frameSize);
+
+  for (let i = 0; i < frameCount && values[entry.name]; i++) {
+    if (i > 0 && i % CHECKPOINT_FRAMES === 0) await checkpoint(hooks);
+    
+    frame.fill(0);
+    frame.set(audio.subarray(i * hopSize, i * hopSize + frameSize));
+    
+    const frameVector = essentia.arrayToVector(frame);
+    const windowed = entry.input === 'spectrum' ? essentia.Windowing(frameVector, true, frameSize, 'hann').frame : null;
+    const spectrum = windowed ? essentia.Spectrum(windowed, frameSize).spectrum : null;
+    
+    computeFrameDescriptors([entry], values, i, frameVector, spectrum, sampleRate, frameSize);
+    
+    frameVector.delete();
+    if (windowed) windowed.delete();
+    if (spectrum) spectrum.delete();
+  }
+
+  return values[entry.name] || null;
+}
+
+// Whole-file summary statistics for a scalar time series
+function summarize(values) {
+  const count = values.length;
+  if (count === 0) {
+    return { mean: 0, variance: 0, min: 0, max: 0, percentiles: {} };
+  }
+
+  let sum = 0;
+  for (let i = 0; i < count; i++) sum += values[i];
+  const mean = sum / count;
+
+  let squaredDiffs = 0;
+  for (let i = 0; i < count; i++) squaredDiffs += (values[i] - mean) ** 2;
+
+  const sorted = Float64Array.from(values).sort();
+  const percentiles = {};
+  SUMMARY_PERCENTILES.forEach(p => {
+    percentiles[`p${p}`] = sorted[Math.min(count - 1, Math.floor(p / 100 * count))];
+  });
+
+  return {
+    mean,
+    variance: squaredDiffs / count,
+    min: sorted[0],
+    max: sorted[count - 1],
+    percentiles
+  };
+}
+
+// Per-bin mean and variance of a vector sequence (HPCP, MFCC)
+function summarizeVectors(vectors) {
+  const size = vectors.length > 0 ? vectors[0].length : 12;
+  const mean = new Array(size).fill(0);
+  const variance = new Array(size).fill(0);
+  if (vectors.length === 0) return { mean, variance };
+
+  vectors.forEach(vector => {
+    for (let b = 0; b < size; b++) mean[b] += vector[b] / vectors.length;
+  });
+  vectors.forEach(vector => {
+    for (let b = 0; b < size; b++) variance[b] += (vector[b] - mean[b]) ** 2 / vectors.length;
+  });
+
+  return { mean, variance };
+}
+
+// Average consecutive frames into coarser points to keep results cacheable
+function downsampleSeries(values, framesPerPoint) {
+  const series = [];
+  for (let start = 0; start < values.length; start += framesPerPoint) {
+    const end = Math.min(start + framesPerPoint, values.length);
+    let sum = 0;
+    for (let i = start; i < end; i++) sum += values[i];
+    series.push(roundValue(sum / (end - start)));
+  }
+  return series;
+}
+
+function downsampleVectors(vectors, framesPerPoint, decimals = 2) {
+  const series = [];
+  for (let start = 0; start < vectors.length; start += framesPerPoint) {
+    const block = vectors.slice(start, start + framesPerPoint);
+    series.push(summarizeVectors(block).mean.map(value => roundValue(value, decimals)));
+  }
+  return series;
+}
+
+function roundValue(value, decimals = 3) {
+  const scale = 10 ** decimals;
+  return Math.round(value * scale) / scale;
+}
+
+// Pick which beat in each bar is the downbeat: bars tend to start with an
+// accent and a harmonic change, so score each phase by the frame energy and
+// HPCP change at its beats
+function estimateDownbeatPhase(beatTimes, frames) {
+  const scores = new Array(BEATS_PER_BAR).fill(0);
+  const counts = new Array(BEATS_PER_BAR).fill(0);
+  const maxEnergy = frames.energy.reduce((max, value) => Math.max(max, value), 1e-9); // No spread: one argument per frame overflows the stack
+
+  beatTimes.forEach((time, i) => {
+    const frameIndex = Math.min(frames.count - 1, Math.round(time * frames.sampleRate / HOP_SIZE));
+    const previousIndex = Math.max(0, frameIndex - 4);
+    const accent = frames.energy[frameIndex] / maxEnergy;
+    const harmonicChange = 1 - dotProduct(normalizeVector(frames.hpcp[frameIndex]), normalizeVector(frames.hpcp[previousIndex]));
+    scores[i % BEATS_PER_BAR] += accent + harmonicChange;
+    counts[i % BEATS_PER_BAR]++;
+  });
+
+  let bestPhase = 0;
+  for (let phase = 1; phase < BEATS_PER_BAR; phase++) {
+    if (counts[phase] > 0 && scores[phase] / counts[phase] > scores[bestPhase] / (counts[bestPhase] || 1)) {
+      bestPhase = phase;
+    }
+  }
+  return bestPhase;
+}
+
+// Detect chords with ChordsDetectionBeats (one per beat interval) or, without
+// a beat grid, frame-wise ChordsDetection, then condense them into a progression
+function extractChords(frames, beats, duration) {
+  const pcp = arraysToVectorVector(frames.hpcp);
+  const useBeats = beats && beats.times.length > 1;
+  let chordTimes;
+  let result;
+
+  if (useBeats) {
+    const ticks = essentia.arrayToVector(new Float32Array(beats.times));
+    result = essentia.ChordsDetectionBeats(pcp, ticks, 'interbeat_median', HOP_SIZE, frames.sampleRate);
+    ticks.delete();
+    chordTimes = beats.times;
+  } else {
+    result = essentia.ChordsDetection(pcp, HOP_SIZE, frames.sampleRate, 2);
+    chordTimes = frames.hpcp.map((chroma, i) => i * HOP_SIZE / frames.sampleRate);
+  }
+
+  const strengths = essentia.vectorToArray(result.strength);
+  const labels = [];
+  for (let i = 0; i < result.chords.size(); i++) labels.push(result.chords.get(i));
+  pcp.delete();
+  result.chords.delete();
+  result.strength.delete();
+
+  // Merge consecutive identical chords into time-stamped spans
+  const sequence = [];
+  labels.forEach((chord, i) => {
+    const start = chordTimes[i];
+    const end = i + 1 < chordTimes.length ? chordTimes[i + 1] : duration;
+    const previous = sequence[sequence.length - 1];
+    if (previous && previous.chord === chord) {
+      previous.end = roundValue(end);
+      previous.strengthSum += strengths[i];
+      previous.count++;
+    } else {
+      sequence.push({ start: roundValue(start), end: roundValue(end), chord, strengthSum: strengths[i], count: 1 });
+    }
+  });
+
+  return {
+    sequence: sequence.map(span => ({
+      start: span.start,
+      end: span.end,
+      chord: span.chord,
+      strength: roundValue(span.strengthSum / span.count)
+    })),
+    progression: summarizeProgression(sequence, useBeats ? beats.downbeats : null)
+  };
+}
+
+// The most frequent PROGRESSION_LENGTH-chord loop: one chord per bar when
+// downbeats are known, otherwise over the sequence of chord changes
+function summarizeProgression(sequence, downbeats) {
+  const chordAt = time => {
+    const span = sequence.find(candidate => time >= candidate.start && time < candidate.end);
+    return span ? span.chord : null;
+  };
+  const steps = downbeats 
+    ? downbeats.map(time => chordAt(time)).filter(chord => chord !== null)
+    : sequence.map(span => span.chord);
+
+  const counts = new Map();
+  for (let i = 0; i + PROGRESSION_LENGTH <= steps.length; i++) {
+    const loop = steps.slice(i, i + PROGRESSION_LENGTH).join(' ');
+    counts.set(loop, (counts.get(loop) || 0) + 1);
+  }
+
+  // Prefer loops that actually change chord over a single sustained chord;
+  // Map iteration follows first occurrence, so ties go to the earliest loop
+  const hasChange = loop => new Set(loop.split(' ')).size > 1;
+  const candidates = [...counts.keys()].some(hasChange) ? [...counts.keys()].filter(hasChange) : [...counts.keys()];
+  let bestLoop = null;
+  let bestCount = 0;
+  candidates.forEach(loop => {
+    if (counts.get(loop) > bestCount) {
+      bestLoop = loop;
+      bestCount = counts.get(loop);
+    }
+  });
+
+  if (!bestLoop) {
+    return { chords: steps.slice(), occurrences: steps.length > 0 ? 1 : 0, coverage: steps.length > 0 ? 1 : 0 };
+  }
+
+  return {
+    chords: bestLoop.split(' '),
+    occurrences: bestCount,
+    coverage: roundValue(Math.min(bestCount * PROGRESSION_LENGTH / steps.length, 1.0))
+  };
+}
+
+// Find section boundaries from a checkerboard novelty curve over the
+// self-similarity of MFCC/HPCP blocks, then label repeated sections.
+// (SBic is not exposed by the essentia.js WASM build, so novelty is computed here.)
+function segmentSections(frames, framesPerPoint, duration) {
+  const resolution = framesPerPoint * HOP_SIZE / frames.sampleRate;
+  const features = buildSectionFeatures(frames, framesPerPoint);
+  const energies = downsampleSeries(frames.energy, framesPerPoint);
+  const pointCount = features.length;
+
+  // Cosine self-similarity matrix of the block features
+  const similarity = features.map(a => features.map(b => dotProduct(a, b)));
+
+  // Novelty from a Gaussian-tapered checkerboard kernel slid along the diagonal
+  const L = NOVELTY_KERNEL_HALF_SIZE;
+  const novelty = new Array(pointCount).fill(0);
+  for (let i = 0; i < pointCount; i++) {
+    for (let a = -L; a < L; a++) {
+      for (let b = -L; b < L; b++) {
+        const row = i + a;
+        const col = i + b;
+        if (row < 0 || col < 0 || row >= pointCount || col >= pointCount) continue;
+        const sign = (a < 0) === (b < 0) ? 1 : -1;
+        const taper = Math.exp(-((a + 0.5) ** 2 + (b + 0.5) ** 2) / (2 * (L / 2) ** 2));
+        novelty[i] += sign * taper * similarity[row][col];
+      }
+    }
+  }
+  const maxNovelty = novelty.reduce((max, value) => Math.max(max, value), 1e-9);
+  const normalizedNovelty = novelty.map(value => Math.max(0, value) / maxNovelty);
+
+  // Boundaries are local novelty peaks above an adaptive threshold, at least MIN_SECTION_POINTS apart
+  const noveltyStats = summarize(normalizedNovelty);
+  const threshold = noveltyStats.mean + 0.5 * Math.sqrt(noveltyStats.variance);
+  const boundaries = [0];
+  for (let i = MIN_SECTION_POINTS; i <= pointCount - MIN_SECTION_POINTS; i++) {
+    const neighbourhood = normalizedNovelty.slice(Math.max(0, i - MIN_SECTION_POINTS / 2), i + MIN_SECTION_POINTS / 2 + 1);
+    const isPeak = normalizedNovelty[i] === neighbourhood.reduce((max, value) => Math.max(max, value));
+    if (isPeak && normalizedNovelty[i] > threshold && i - boundaries[boundaries.length - 1] >= MIN_SECTION_POINTS) {
+      boundaries.push(i);
+    }
+  }
+  boundaries.push(pointCount);
+
+  const segments = [];
+  for (let s = 0; s < boundaries.length - 1; s++) {
+    const startPoint = boundaries[s];
+    const endPoint = boundaries[s + 1];
+    const sectionFeatures = features.slice(startPoint, endPoint);
+    segments.push({
+      start: roundValue(startPoint * resolution),
+      end: roundValue(Math.min(endPoint * resolution, duration)),
+      centroid: normalizeVector(summarizeVectors(sectionFeatures).mean),
+      energy: summarize(energies.slice(startPoint, endPoint)).mean,
+      boundaryStrength: ((s === 0 ? 1 : normalizedNovelty[startPoint]) + (s === boundaries.length - 2 ? 1 : normalizedNovelty[endPoint])) / 2
+    });
+  }
+
+  return labelSections(segments);
+}
+
+// Block-averaged, per-dimension standardised MFCCs (without the energy
+// coefficient) alongside HPCP, each unit-length so both weigh the same
+function buildSectionFeatures(frames, framesPerPoint) {
+  const mfccBlocks = downsampleVectors(frames.mfcc, framesPerPoint, 4).map(mfcc => mfcc.slice(1));
+  const hpcpBlocks = downsampleVectors(frames.hpcp, framesPerPoint, 4);
+  return combineTimbreAndChroma(mfccBlocks, hpcpBlocks);
+}
+
+// The same features averaged over each beat
+function buildBeatFeatures(frames, beatTimes) {
+  const mfccBlocks = averageOverBeats(frames.mfcc, frames.sampleRate, beatTimes).map(mfcc => mfcc.slice(1));
+  const hpcpBlocks = averageOverBeats(frames.hpcp, frames.sampleRate, beatTimes);
+  return combineTimbreAndChroma(mfccBlocks, hpcpBlocks);
+}
+
+// Mean of frame-wise vectors over each beat (the last one as long as the one before)
+function averageOverBeats(vectors, sampleRate, beatTimes) {
+  const framesPerSecond = sampleRate / HOP_SIZE;
+  return beatTimes.map((time, b) => {
+    const end = b < beatTimes.length - 1 ? beatTimes[b + 1] : time + (time - (beatTimes[b - 1] || 0));
+    const first = Math.min(vectors.length - 1, Math.round(time * framesPerSecond));
+    const last = Math.min(vectors.length, Math.max(first + 1, Math.round(end * framesPerSecond)));
+    return summarizeVectors(vectors.slice(first, last)).mean;
+  });
+}
+
+function combineTimbreAndChroma(mfccBlocks, hpcpBlocks) {
+  const mfccStats = summarizeVectors(mfccBlocks);
+
+  return mfccBlocks.map((mfcc, i) => {
+    const standardized = mfcc.map((value, d) => (value - mfccStats.mean[d]) / (Math.sqrt(mfccStats.variance[d]) || 1));
+    const timbre = normalizeVector(standardized).map(value => value / Math.SQRT2);
+    const chroma = normalizeVector(hpcpBlocks[i]).map(value => value / Math.SQRT2);
+    return timbre.concat(chroma);
+  });
+}
+
+// Find the riff a clip keeps repeating, on its beat grid. Returns { bars,
+// beats, start, end, repeats, similarity, candidates } (times in seconds),
+// or null when no loop length repeats well enough.
+//
+// The loop length is the lag (1, 2, 4 or 8 bars) along which the beat
+// self-similarity matrix is most similar; multiples of the true length score
+// alike, so the shortest lag close to the best wins. Candidate loops start on
+// downbeats and are ranked by how similar their repeats at that lag are.
+function detectLoop(frames, beats) {
+  const features = buildBeatFeatures(frames, beats.times);
+  const beatCount = features.length;
+  const similarity = features.map(a => Float32Array.from(features, b => dotProduct(a, b)));
+
+  // Mean similarity of each beat to the beat one loop later
+  const lags = LOOP_BAR_LENGTHS
+    .map(bars => ({ bars, beats: bars * beats.beatsPerBar }))
+    .filter(lag => lag.beats * 2 <= beatCount)
+    .map(lag => {
+      let sum = 0;
+      for (let i = 0; i + lag.beats < beatCount; i++) sum += similarity[i][i + lag.beats];
+      return { ...lag, similarity: sum / (beatCount - lag.beats) };
+    });
+  if (lags.length === 0) return null;
+
+  const best = Math.max(...lags.map(lag => lag.similarity));
+  const lag = lags.find(candidate => candidate.similarity >= best - LOOP_LENGTH_TOLERANCE);
+  if (lag.similarity < LOOP_MIN_SIMILARITY) return null;
+
+  // Similarity of the loop-long spans starting at beats a and b
+  const spanSimilarity = (a, b) => {
+    let sum = 0;
+    for (let d = 0; d < lag.beats; d++) sum += similarity[a + d][b + d];
+    return sum / lag.beats;
+  };
+
+  // Every downbeat-aligned start, scored by its mean similarity to the spans a
+  // whole number of loops away; its repeats are those spans similar enough
+  const candidates = [];
+  for (let start = beats.downbeatPhase; start + lag.beats < beatCount; start += beats.beatsPerBar) {
+    const offsets = [];
+    for (let other = start % lag.beats; other + lag.beats <= beatCount; other += lag.beats) {
+      if (other !== start) offsets.push(spanSimilarity(start, other));
+    }
+    if (offsets.length === 0) continue;
+    candidates.push({
+      start,
+      similarity: offsets.reduce((sum, value) => sum + value, 0) / offsets.length,
+      repeats: 1 + offsets.filter(value => value >= LOOP_REPEAT_SIMILARITY).length
+    });
+  }
+  candidates.sort((a, b) => b.similarity - a.similarity);
+  if (candidates.length === 0 || candidates[0].repeats < 2) return null;
+
+  const endTime = start => roundValue(beats.times[start + lag.beats]);
+  const loop = candidates[0];
+  return {
+    bars: lag.bars,
+    beats: lag.beats,
+    start: roundValue(beats.times[loop.start]),
+    end: endTime(loop.start),
+    repeats: loop.repeats,
+    similarity: roundValue(loop.similarity),
+    candidates: candidates.slice(0, LOOP_CANDIDATES).map(candidate => ({
+      start: roundValue(beats.times[candidate.start]),
+      end: endTime(candidate.start),
+      repeats: candidate.repeats,
+      similarity: roundValue(candidate.similarity)
+    }))
+  };
+}
+
+// A clip's riff fingerprint: beat-synchronous HPCP (RIFF_SUBDIVISIONS
+// vectors per beat, each scaled to a maximum of 1) for up to
+// RIFF_CHROMA_BEATS beats from the first downbeat or, with a loop, from the
+// loop start moved back whole loops while that keeps more beats. null when
+// the grid is too short.
+function extractRiffChroma(frames, beats, loop) {
+  let first = beats.downbeatPhase;
+  if (loop) {
+    const distances = beats.times.map(time => Math.abs(time - loop.start));
+    first = distances.indexOf(Math.min(...distances));
+    while (first - loop.beats >= 0 && beats.times.length - first < RIFF_CHROMA_BEATS) first -= loop.beats;
+  }
+
+  const beatTimes = beats.times.slice(first, first + RIFF_CHROMA_BEATS);
+  if (beatTimes.length < RIFF_MIN_BEATS) return null;
+  const stepTimes = [];
+  beatTimes.forEach((time, b) => {
+    const end = b < beatTimes.length - 1 ? beatTimes[b + 1] : time + (time - beatTimes[b - 1]);
+    for (let step = 0; step < RIFF_SUBDIVISIONS; step++) stepTimes.push(time + (end - time) * step / RIFF_SUBDIVISIONS);
+  });
+  return averageOverBeats(frames.hpcp, frames.sampleRate, stepTimes).map(chroma => {
+    const peak = Math.max(...chroma) || 1;
+    return chroma.map(value => Math.round(value / peak * 10) / 10); // ChromaCrossSimilarity binarizes anyway
+  });
+}
+
+// Cover song similarity of a riff fingerprint to each reference ({ id,
+// chroma }), returned as [{ id, distance }]. ChromaCrossSimilarity transposes
+// each reference by its Optimal Transposition Index first, so the same riff
+// in another key still matches. The distance is the mean of the asymmetric
+// Serra09 distances both ways: near 0 for the same riff, larger for others.
+// onProgress(done, total) is called after each reference.
+function compareRiffs(query, references, onProgress = null) {
+  const queryMatrix = arraysToVectorVector(query);
+  try {
+    return references.map((reference, i) => {
+      const referenceMatrix = arraysToVectorVector(reference.chroma);
+      try {
+        const distance = (riffDistance(queryMatrix, referenceMatrix) + riffDistance(referenceMatrix, queryMatrix)) / 2;
+        return { id: reference.id, distance: Number.isFinite(distance) ? roundValue(distance) : null }; // null: nothing aligned
+      } finally {
+        referenceMatrix.delete();
+        if (onProgress) onProgress(i + 1, references.length);
+      }
+    });
+  } finally {
+    queryMatrix.delete();
+  }
+}
+
+function riffDistance(queryMatrix, referenceMatrix) {
+  const csm = essentia.ChromaCrossSimilarity(queryMatrix, referenceMatrix, RIFF_BINARIZE_PERCENTILE, RIFF_FRAME_STACK, 1, 12, true, false, false).csm;
+  try {
+    const result = essentia.CoverSongSimilarity(csm, 'serra09', 0.5, 0.5, 'asymmetric');
+    result.scoreMatrix.delete();
+    return result.distance;
+  } finally {
+    csm.delete();
+  }
+}
+
+// Group sections that repeat, then name each group with energy heuristics
+// in the spirit of estimateStructure
+function labelSections(segments) {
+  const groups = [];
+  segments.forEach(segment => {
+    let bestGroup = null;
+    let bestSimilarity = -Infinity;
+    groups.forEach(group => {
+      const similarity = dotProduct(segment.centroid, group.centroid);
+      if (similarity > bestSimilarity) {
+        bestSimilarity = similarity;
+        bestGroup = group;
+      }
+    });
+    
+    if (bestGroup && bestSimilarity >= SECTION_SIMILARITY_THRESHOLD) {
+      bestGroup.members.push(segment);
+      segment.similarity = bestSimilarity;
+    } else {
+      bestGroup = { id: String.fromCharCode(65 + groups.length % 26), centroid: segment.centroid, members: [segment] };
+      groups.push(bestGroup);
+      segment.similarity = 1;
+    }
+    segment.group = bestGroup;
+  });
+
+  // Energy relative to the quietest and loudest section of this file
+  const energies = segments.map(segment => segment.energy);
+  const minEnergy = Math.min(...energies);
+  const energyRange = Math.max(...energies) - minEnergy;
+  const relativeEnergy = segment => energyRange > 0 ? (segment.energy - minEnergy) / energyRange : Math.min(segment.energy * 3, 1.0);
+  const groupEnergy = group => group.members.reduce((sum, segment) => sum + relativeEnergy(segment), 0) / group.members.length;
+
+  // The chorus is the loudest group, favouring groups that repeat
+  let chorusGroup = null;
+  groups.forEach(group => {
+    const score = groupEnergy(group) * (1 + 0.25 * (group.members.length - 1));
+    if (groupEnergy(group) >= 0.5 && (!chorusGroup || score > chorusGroup.score)) {
+      chorusGroup = { group, score };
+    }
+  });
+
+  return segments.map((segment, index) => {
+    const energy = relativeEnergy(segment);
+    const next = segments[index + 1];
+    let label;
+    
+    if (chorusGroup && segment.group === chorusGroup.group) {
+      label = 'chorus';
+    } else if (index === segments.length - 1 && index > 0 && energy < 0.3) {
+      label = 'outro';
+    } else if (chorusGroup && next && next.group === chorusGroup.group && energy > 0.3) {
+      label = 'pre-chorus';
+    } else if (groupEnergy(segment.group) > 0.6) {
+      label = 'hook';
+    } else {
+      label = 'verse';
+    }
+    
+    return {
+      start: segment.start,
+      end: segment.end,
+      label,
+      group: segment.group.id,
+      confidence: roundValue((segment.boundaryStrength + Math.max(0, segment.similarity)) / 2)
+    };
+  });
+}
+
+// The label covering most of the clip, used for the Song Structure mode
+function dominantSectionLabel(segments) {
+  const totals = {};
+  segments.forEach(segment => {
+    totals[segment.label] = (totals[segment.label] || 0) + (segment.end - segment.start);
+  });
+  const labels = Object.keys(totals);
+  if (labels.length === 0) return 'verse';
+  return labels.reduce((best, label) => totals[label] > totals[best] ? label : best);
+}
+
+// Copy JS arrays into a VectorVectorFloat for matrix-input algorithms
+function arraysToVectorVector(arrays) {
+  const matrix = new essentia.module.VectorVectorFloat();
+  arrays.forEach(array => {
+    const row = essentia.arrayToVector(array);
+    matrix.push_back(row);
+    row.delete();
+  });
+  return matrix;
+}
+
+function dotProduct(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+function normalizeVector(vector) {
+  const norm = Math.sqrt(dotProduct(vector, vector)) || 1;
+  return vector.map(value => value / norm);
+}
+
+// Fetch and decode a file inside the worker. Workers have no (Offline)AudioContext,
+// so only PCM WAV is decoded here; other formats are decoded on the main thread.
+async function fetchAndDecodeAudio(url) {
+  console.log(`[Worker] Fetching ${url}`);
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+  }
+
+  return decodeWavForAnalysis(await response.arrayBuffer());
+}
+
+// Decode a WAV file to the { audioBuffer, sampleRate, stereo, channels } analyzeAudio takes
+function decodeWavForAnalysis(arrayBuffer) {
+  const wav = decodeWav(arrayBuffer);
+  return prepareChannelsForAnalysis(wav.channels, wav.sampleRate);
+}
+
+// Decoded channels (Float32Arrays) to the analyzeAudio input: mono downmix and
+// the first two channels (for loudness) at the analysis rate, and stereo image
+function prepareChannelsForAnalysis(channels, sampleRate) {
+  const stereo = channels.length >= 2 ? measureStereoImage(channels[0], channels[1]) : null;
+
+  const mono = new Float32Array(channels[0].length);
+  channels.forEach(channel => {
+    for (let i = 0; i < mono.length; i++) mono[i] += channel[i] / channels.length;
+  });
+
+  return {
+    audioBuffer: resampleLinear(mono, sampleRate, DEFAULT_SAMPLE_RATE),
+    sampleRate: DEFAULT_SAMPLE_RATE,
+    stereo: stereo,
+    channels: channels.slice(0, 2).map(channel => resampleLinear(channel, sampleRate, DEFAULT_SAMPLE_RATE))
+  };
+}
+
+// Parse a RIFF/WAVE file with 16/24/32-bit integer or 32-bit float PCM
+function decodeWav(arrayBuffer) {
+  const view = new DataView(arrayBuffer);
+  const readTag = offset => String.fromCharCode(...new Uint8Array(arrayBuffer, offset, 4));
+  if (readTag(0) !== 'RIFF' || readTag(8) !== 'WAVE') {
+    throw new Error('Worker can only decode WAV files');
+  }
+
+  let format = null;
+  let offset = 12;
+  while (offset + 8 <= view.byteLength) {
+    const chunkId = readTag(offset);
+    const chunkSize = view.getUint32(offset + 4, true);
+    const body = offset + 8;
+    
+    if (chunkId === 'fmt ') {
+      format = {
+        audioFormat: view.getUint16(body, true),
+        channelCount: view.getUint16(body + 2, true),
+        sampleRate: view.getUint32(body + 4, true),
+        bitsPerSample: view.getUint16(body + 14, true)
+      };
+      // WAVE_FORMAT_EXTENSIBLE keeps the real format in the sub-format GUID
+      if (format.audioFormat === 0xFFFE) format.audioFormat = view.getUint16(body + 24, true);
+    } else if (chunkId === 'data' && format) {
+      const bytesPerSample = format.bitsPerSample / 8;
+      const frameCount = Math.floor(Math.min(chunkSize, view.byteLength - body) / (bytesPerSample * format.channelCount));
+      const channels = Array.from({ length: format.channelCount }, () => new Float32Array(frameCount));
+      
+      for (let i = 0; i < frameCount; i++) {
+        for (let c = 0; c < format.channelCount; c++) {
+          const position = body + (i * format.channelCount + c) * bytesPerSample;
+          channels[c][i] = readWavSample(view, position, format);
+        }
+      }
+      return { channels, sampleRate: format.sampleRate };
+    }
+    
+    // Chunks are padded to an even size
+    offset = body + chunkSize + (chunkSize % 2);
+  }
+
+  throw new Error('WAV file has no audio data');
+}
+
+function readWavSample(view, position, format) {
+  if (format.audioFormat === 3 && format.bitsPerSample === 32) return view.getFloat32(position, true);
+  if (format.audioFormat !== 1) throw new Error(`Unsupported WAV format ${format.audioFormat}`);
+
+  switch (format.bitsPerSample) {
+    case 16: return view.getInt16(position, true) / 32768;
+    case 24: {
+      const value = view.getUint8(position) | (view.getUint8(position + 1) << 8) | (view.getInt8(position + 2) << 16);
+      return value / 8388608;
+    }
+    case 32: return view.getInt32(position, true) / 2147483648;
+    default: throw new Error(`Unsupported WAV bit depth ${format.bitsPerSample}`);
+  }
+}
+
+// Linear-interpolation resampler; adequate for descriptors, not for listening
+function resampleLinear(samples, fromRate, toRate) {
+  if (fromRate === toRate) return samples;
+
+  const ratio = fromRate / toRate;
+  const output = new Float32Array(Math.floor(samples.length / ratio));
+  for (let i = 0; i < output.length; i++) {
+    const position = i * ratio;
+    const index = Math.floor(position);
+    const fraction = position - index;
+    const next = index + 1 < samples.length ? samples[index + 1] : samples[index];
+    output[i] = samples[index] + (next - samples[index]) * fraction;
+  }
+  return output;
+}
+
+// Stereo width (side energy share, 0 = mono, 1 = fully out of phase)
+// and left/right correlation (-1 to 1, 1 = identical channels)
+function measureStereoImage(left, right) {
+  let leftEnergy = 0;
+  let rightEnergy = 0;
+  let crossEnergy = 0;
+  let midEnergy = 0;
+  let sideEnergy = 0;
+
+  for (let i = 0; i < left.length; i++) {
+    const mid = (left[i] + right[i]) / 2;
+    const side = (left[i] - right[i]) / 2;
+    leftEnergy += left[i] * left[i];
+    rightEnergy += right[i] * right[i];
+    crossEnergy += left[i] * right[i];
+    midEnergy += mid * mid;
+    sideEnergy += side * side;
+  }
+
+  const normalization = Math.sqrt(leftEnergy * rightEnergy);
+  return {
+    correlation: normalization > 0 ? crossEnergy / normalization : 1,
+    width: midEnergy + sideEnergy > 0 ? sideEnergy / (midEnergy + sideEnergy) : 0
+  };
+}
+
+// Generate mock analysis data
+function generateMockAnalysis(reason = 'Mock analysis') {
+  const energy = Math.random();
+  const analysis = {
+    schemaVersion: ANALYSIS_SCHEMA_VERSION,
+    energy: energy,
+    mood: Math.random(),
+    key: ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'][Math.floor(Math.random() * 12)],
+    scale: Math.random() > 0.5 ? 'major' : 'minor',
+    tempo: 60 + Math.random() * 120,
+    loudness: Math.random() * 20,
+    keyStrength: Math.random(),
+    structure: estimateStructure(energy),
+    segments: [],
+    provenance: {}
+  };
+  markProvenance(analysis, ['energy', 'mood', 'key', 'scale', 'tempo', 'loudness', 'keyStrength', 'structure', 'segments'], 'mock', reason);
+  return analysis;
+}
+
+// Structure label from energy alone, for results without real segmentation
+function estimateStructure(energy) {
+  if (energy > 0.7) return 'chorus';
+  if (energy > 0.6) return 'hook';
+  if (energy > 0.5) return 'pre-chorus';
+  if (energy < 0.3) return 'outro';
+  return 'verse';
+}
+
+// Message handler implementing the analysis worker protocol (init, analyze,
+// cancel); post sends a reply. The worker's onmessage, and the main-thread
+// fallback in EssentiaWorkerManager when module workers are unavailable.
+function createMessageHandler(post) {
+  const runningJobs = new Set(); // Message ids of analyze requests in progress
+  const cancelledJobs = new Set(); // The ones among them the main thread cancelled
+
+  return async function(e) {
+    const { type, payload, id } = e.data;
+    
+    try {
+      switch (type) {
+        case 'init':
+          const initResult = await initializeEssentia(payload && payload.basePath);
+          if (initResult.success) initResult.descriptors = configurePipeline(payload && payload.pipeline);
+          post({ type: 'init-complete', payload: initResult, id });
+          break;
+        
+        case 'analyze':
+          runningJobs.add(id);
+          try {
+            const hooks = {
+              onProgress: progress => post({ type: 'analysis-progress', payload: progress, id }),
+              isCancelled: () => cancelledJobs.has(id)
+            };
+            
+            // Either channels decoded (and transferred) by the main thread, or a URL to fetch and decode here
+            reportProgress(hooks, 'decode', 0);
+            const audio = payload.url ? await fetchAndDecodeAudio(payload.url) : prepareChannelsForAnalysis(payload.channels, payload.sampleRate);
+            reportProgress(hooks, 'decode', 1);
+            await checkpoint(hooks);
+            const analysis = await analyzeAudio(audio.audioBuffer, audio.sampleRate, audio.stereo, hooks, audio.channels);
+            post({ 
+              type: 'analysis-complete', 
+              payload: { analysis, fileName: payload.fileName },
+              id 
+            });
+          } catch (error) {
+            if (!(error instanceof AnalysisCancelledError)) throw error;
+            console.log(`[Worker] Analysis of ${payload.fileName} cancelled`);
+            post({ 
+              type: 'analysis-cancelled', 
+              payload: { cancelled: true, fileName: payload.fileName },
+              id 
+            });
+          } finally {
+            runningJobs.delete(id);
+            cancelledJobs.delete(id);
+          }
+          break;
+        
+        case 'compare':
+          const distances = compareRiffs(payload.query, payload.references, (done, total) => post({ type: 'compare-progress', payload: { done, total }, id }));
+          post({ type: 'compare-complete', payload: { distances }, id });
+          break;
+        
+        case 'cancel':
+          // Takes effect at the running job's next checkpoint; a job that
+          // already finished has nothing to cancel
+          if (runningJobs.has(payload.messageId)) cancelledJobs.add(payload.messageId);
+          break;
+        
+        default:
+          console.warn('[Worker] Unknown message type:', type);
+      }
+    } catch (error) {
+      console.error('[Worker] Error handling message:', error);
+      post({ 
+        type: 'error', 
+        payload: { error: error.message },
+        id 
+      });
+    }
+  };
+}
+
+export {
+  DEFAULT_SAMPLE_RATE,
+  DEFAULT_DESCRIPTORS,
+  AnalysisCancelledError,
+  initializeEssentia,
+  configurePipeline,
+  analyzeAudio,
+  decodeWavForAnalysis,
+  prepareChannelsForAnalysis,
+  createMessageHandler,
+  // Shared with the main-thread scripts
+  ANALYSIS_SCHEMA_VERSION,
+  FLAT_KEY_NAMES,
+  generateMockAnalysis,
+  estimateStructure
+};
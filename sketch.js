@@ -2,12 +2,21 @@
 let audioManager;
 let essentiaWorker; // Changed from essentiaAnalyzer to essentiaWorker
 let cacheManager; // Handles localStorage caching
+let timbreClassifier; // Clean / crunch / high-gain / bass classes, trained from labels set in the players
+let riffMatcher; // Library-wide graph of clips playing the same riff
+let similarityIndex; // Nearest-neighbour search over per-clip feature vectors
+let similarityPanel; // Side panel listing the clips most like a right-clicked one
+let songClusterer; // Groups clips into song candidates, shown as islands
 let audioPlayerUIs = [];
-let visualMode = 'circle-of-fifths'; // 'circle-of-fifths', 'energy-mood', 'song-structure'
+let visualMode = 'circle-of-fifths'; // 'circle-of-fifths', 'energy-mood', 'song-structure', 'tuning', 'islands'
 let modeDropdown;
 let isLoading = true;
-let processingStatus = { current: 0, total: 0, cached: 0 }; // Track processing progress
-let selectedKeyFilter = null; // When set, filters Circle of Fifths to show only that key
+let processingStatus = { current: 0, total: 0, cached: 0, cancelled: 0 }; // Track processing progress
+let selectedKeyFilter = null; // When set, filters Circle of Fifths to clips that spend significant time in that key
+let analysisQueuePanel; // Lists queued analysis jobs with pause/resume and cancel
+let gridAxes = { x: 'tempo', y: 'mood' }; // PLOT_AXES names plotted in the grid mode
+let islandLayout = null; // Island and clip positions of the islands mode, from getIslandLayout
+let islandMergeSource = null; // A clip key of the song candidate whose merge button was clicked, waiting for a second one (ids change on rebuilds)
 
 // Colors inspired by jaffx.audio (modern dark theme with orange accents)
 const colors = {
@@ -21,12 +30,22 @@ const colors = {
 };
 
 async function setup() {
-  createCanvas(windowWidth, windowHeight);
+  const canvas = createCanvas(windowWidth, windowHeight);
+  canvas.elt.addEventListener('contextmenu', event => event.preventDefault()); // Right-click finds similar clips
   
   // Initialize managers
   audioManager = new AudioManager();
-  essentiaWorker = new EssentiaWorkerManager(); // Use worker instead of analyzer
+  essentiaWorker = new EssentiaWorkerManager({ pipeline: ANALYSIS_PIPELINE }); // Use worker instead of analyzer
   cacheManager = new CacheManager(); // Initialize cache manager
+  timbreClassifier = new TimbreClassifier(audioFile => cacheManager.generateFileKey(audioFile));
+  riffMatcher = new RiffMatcher(cacheManager, essentiaWorker);
+  similarityIndex = new SimilarityIndex(cacheManager);
+  similarityPanel = new SimilarityPanel(similarityIndex, key => {
+    const playerData = audioPlayerUIs.find(candidate => cacheManager.generateFileKey(candidate.audioFile) === key);
+    return playerData ? playerData.audioFile : null;
+  });
+  songClusterer = new SongClusterer(cacheManager, similarityIndex, riffMatcher);
+  analysisQueuePanel = new AnalysisQueuePanel(essentiaWorker, reanalyzeAllAudioFiles);
   
   // Create mode selector dropdown
   createModeSelector();
@@ -47,6 +66,8 @@ function draw() {
     // Draw UI and visualizations based on current mode
     drawInterface();
     drawAudioPlayers();
+    analysisQueuePanel.draw();
+    similarityPanel.draw();
   }
 }
 
@@ -94,17 +115,19 @@ function createModeSelector() {
   // Create menu options
   const modes = [
     { label: 'Circle of Fifths', value: 'circle-of-fifths' },
-    { label: 'Tempo/Mood Grid', value: 'energy-mood' },
-    { label: 'Song Structure', value: 'song-structure' }
+    { label: 'Feature Grid', value: 'energy-mood' },
+    { label: 'Song Structure', value: 'song-structure' },
+    { label: 'Tuning', value: 'tuning' },
+    { label: 'Song Islands', value: 'islands' }
   ];
 
-  modes.forEach(mode => {
+  modes.forEach((mode, i) => {
     let option = createDiv(mode.label);
     option.parent(dropdownMenu);
     option.style('padding', '8px 12px');
     option.style('cursor', 'pointer');
     option.style('color', colors.text);
-    option.style('border-bottom', mode.value !== 'song-structure' ? '1px solid #333' : 'none');
+    option.style('border-bottom', i < modes.length - 1 ? '1px solid #333' : 'none');
     option.style('transition', 'background-color 0.2s ease');
 
     option.mouseOver(() => {
@@ -119,6 +142,7 @@ function createModeSelector() {
       dropdownButton.html(mode.label + ' ▼');
       dropdownMenu.style('display', 'none');
       selectedKeyFilter = null; // Clear key filter when changing modes
+      islandMergeSource = null;
       repositionAudioPlayers();
       console.log('Mode changed to:', mode.value);
     });
@@ -158,6 +182,9 @@ async function initializeApp() {
     await essentiaWorker.initialize();
     console.log('✅ Essentia Worker initialized');
     
+    // Merge analyses precomputed by tools/batch-analyze.mjs, if the server has them
+    await cacheManager.loadPrecomputedAnalyses(`${audioManager.localDatasetPath}analysis.json`);
+    
     // Display cache stats
     const cacheStats = cacheManager.getCacheStats();
     console.log(`📊 Cache stats: ${cacheStats.totalEntries} entries, ${cacheStats.cacheSizeMB} MB`);
@@ -166,6 +193,7 @@ async function initializeApp() {
     console.log('⏳ Loading audio dataset...');
     const audioFiles = await audioManager.loadAudioDataset();
     console.log(`✅ Loaded ${audioFiles.length} audio files`);
+    cacheManager.fillUnknownSizes(audioFiles);
     
     // Set up processing status
     processingStatus.total = audioFiles.length;
@@ -200,6 +228,11 @@ async function initializeApp() {
     isLoading = false;
     console.log('✅ UI ready - processing remaining files in background...');
     
+    // Index features, match riffs and group songs of clips cached in earlier sessions
+    similarityIndex.update();
+    riffMatcher.update();
+    songClusterer.update();
+    
     // Process remaining files asynchronously
     processRemainingAudioFiles(audioFiles, cachedFiles, uncachedFiles);
     
@@ -223,101 +256,159 @@ async function processFirstAudioFile(audioFiles, cachedFiles, uncachedFiles) {
     audioFile.analysis = cacheManager.getCachedAnalysis(audioFile);
   } else {
     console.log(`🔄 Analyzing first file: ${audioFile.name}...`);
-    
-    try {
-      // Load audio buffer
-      const audioBuffer = await audioManager.loadAudioBuffer(audioFile);
-      
-      // Analyze with Essentia Worker
-      audioFile.analysis = await essentiaWorker.analyzeAudio(audioBuffer, audioFile.name);
-      console.log(`✅ First file analyzed:`, audioFile.analysis);
-      
-      // Cache the analysis
-      cacheManager.setCachedAnalysis(audioFile, audioFile.analysis);
-      
-    } catch (error) {
-      console.error(`❌ Error processing first file:`, error);
-      // Use mock analysis as fallback
-      audioFile.analysis = essentiaWorker.generateMockAnalysis();
-      // Don't cache mock analysis
-    }
+    await analyzeAudioFile(audioFile);
   }
   
-  // Create UI component
-  const ui = new AudioPlayerUI(audioManager, 0, 0, 280, 80);
-  const playerData = {
-    ui: ui,
-    audioFile: audioFile,
-    visualPosition: { x: width / 2, y: height / 2 }
-  };
-  
-  audioPlayerUIs.push(playerData);
-  
-  // Position the first element
-  positionSinglePlayer(playerData, 0);
+  addAudioPlayer(audioFile);
 }
 
 async function processRemainingAudioFiles(audioFiles, cachedFiles, uncachedFiles) {
-  // Process remaining files one at a time (skipping first)
-  for (let i = 1; i < audioFiles.length; i++) {
-    // Yield to UI before processing each file
-    await yieldToUI();
+  const remainingFiles = audioFiles.slice(1);
+
+  // Cached files can be shown straight away
+  for (const audioFile of remainingFiles) {
+    if (!cacheManager.hasCachedAnalysis(audioFile)) continue;
     
-    const audioFile = audioFiles[i];
+    // Analysis already loaded in initializeApp
+    console.log(`✅ Using cached: ${audioFile.name}`);
+    addAudioPlayer(audioFile);
+    processingStatus.current++;
+    await yieldToUI();
+  }
+
+  // Uncached files go through the worker pool. They wait in the queue rows
+  // straight away, so a click can play one and move it to the front of the
+  // queue, and each moves to its place as soon as its analysis completes,
+  // not in dataset order
+  const filesToAnalyze = remainingFiles.filter(audioFile => !cacheManager.hasCachedAnalysis(audioFile));
+  const queuedPlayers = new Map(filesToAnalyze.map(audioFile => [audioFile, addAudioPlayer(audioFile)]));
+  positionQueuedPlayers();
+  await Promise.all(filesToAnalyze.map(async audioFile => {
+    await analyzeAudioFile(audioFile);
+    processingStatus.current++;
+    const playerData = queuedPlayers.get(audioFile);
     
-    // Check if this file is cached
-    if (cacheManager.hasCachedAnalysis(audioFile)) {
-      console.log(`✅ [${i}/${audioFiles.length - 1}] Using cached: ${audioFile.name}`);
-      // Analysis already loaded in initializeApp
-      
-    } else {
-      try {
-        console.log(`🔄 [${i}/${audioFiles.length - 1}] Analyzing: ${audioFile.name}...`);
-        
-        // Load audio buffer
-        const audioBuffer = await audioManager.loadAudioBuffer(audioFile);
-        
-        // Yield to UI after loading
-        await yieldToUI();
-        
-        // Analyze with Essentia Worker (runs in background thread)
-        audioFile.analysis = await essentiaWorker.analyzeAudio(audioBuffer, audioFile.name);
-        
-        // Cache the analysis
-        cacheManager.setCachedAnalysis(audioFile, audioFile.analysis);
-        
-        // Yield to UI after analysis
-        await yieldToUI();
-        
-        console.log(`✅ [${i}/${audioFiles.length - 1}] Complete: ${audioFile.name}`);
-        
-      } catch (error) {
-        console.error(`❌ Error processing ${audioFile.name}:`, error);
-        // Use mock analysis as fallback
-        audioFile.analysis = essentiaWorker.generateMockAnalysis();
-        // Don't cache mock analysis
-      }
+    // Cancelled from the queue panel: nothing to show
+    if (!audioFile.analysis) {
+      processingStatus.cancelled++;
+      removeAudioPlayer(playerData);
+      return;
     }
     
-    // Create UI component
-    const ui = new AudioPlayerUI(audioManager, 0, 0, 280, 80);
-    const playerData = {
-      ui: ui,
-      audioFile: audioFile,
-      visualPosition: { x: width / 2, y: height / 2 }
-    };
+    positionSinglePlayer(playerData, audioPlayerUIs.indexOf(playerData));
+    positionQueuedPlayers();
+    console.log(`✅ [${processingStatus.current}/${audioFiles.length}] Complete: ${audioFile.name}`);
+  }));
+
+  console.log(`🎉 All audio files processed! (${processingStatus.cached} from cache, ${audioFiles.length - processingStatus.cached} analyzed)`);
+}
+
+// Analyze one file through the worker pool and cache the result.
+// A cancelled job leaves the file's previous analysis (or null) in place.
+async function analyzeAudioFile(audioFile, priority = ANALYSIS_PRIORITY.BULK) {
+  try {
+    // Load audio buffer (mono downmix at the analysis sample rate) once the pool is ready for it
+    const analysis = await essentiaWorker.analyzeFile(audioFile.name, () => audioManager.loadAudioBuffer(audioFile), {
+      jobId: getAnalysisJobId(audioFile),
+      priority: priority,
+      url: audioFile.url,
+      onProgress: progress => { audioFile.analysisProgress = progress; }
+    });
+    if (!analysis) return;
     
-    // Add to array
-    audioPlayerUIs.push(playerData);
+    // A mock (not initialized, or a result that failed the schema check) is
+    // only for display: keep an earlier analysis if there is one, and don't
+    // cache it, or the file would never be analysed again
+    if (analysisSource(analysis) === PROVENANCE.MOCK) {
+      audioFile.analysis = audioFile.analysis || analysis;
+      return;
+    }
+    audioFile.analysis = analysis;
     
-    // Update progress
-    processingStatus.current = i + 1;
+    // Cache the analysis, then index its features, compare its riff with the
+    // rest of the library and regroup the song candidates
+    cacheManager.setCachedAnalysis(audioFile, audioFile.analysis);
+    similarityIndex.update();
+    riffMatcher.update();
+    songClusterer.update();
     
-    // Position ONLY this new element (don't reposition existing ones)
-    positionSinglePlayer(playerData, audioPlayerUIs.length - 1);
+  } catch (error) {
+    console.error(`❌ Error processing ${audioFile.name}:`, error);
+    // Keep an earlier analysis if there is one, else fall back to a mock.
+    // Don't cache mock analysis
+    audioFile.analysis = audioFile.analysis || generateMockAnalysis(`Analysis failed: ${error.message || error}`);
+  } finally {
+    audioFile.analysisProgress = null;
   }
+}
+
+// Queue id for a file's analysis, so clicks and the queue panel can find it
+function getAnalysisJobId(audioFile) {
+  return audioFile.path || audioFile.name;
+}
+
+// Re-analyze every displayed clip in the background, on-screen clips first;
+// each clip moves to its new position as its result arrives
+async function reanalyzeAllAudioFiles() {
+  console.log(`🔁 Re-analyzing ${audioPlayerUIs.filter(playerData => playerData.audioFile.analysis).length} clips...`);
+
+  // Clips still waiting for their first analysis are queued already
+  const analyzedPlayers = audioPlayerUIs.filter(playerData => playerData.audioFile.analysis);
+  await Promise.all(analyzedPlayers.map(async playerData => {
+    const onScreen = playerData.ui.x >= 0 && playerData.ui.x <= width && playerData.ui.y >= 0 && playerData.ui.y <= height;
+    const previousAnalysis = playerData.audioFile.analysis;
+    
+    await analyzeAudioFile(playerData.audioFile, onScreen ? ANALYSIS_PRIORITY.VISIBLE : ANALYSIS_PRIORITY.BULK);
+    if (playerData.audioFile.analysis !== previousAnalysis) {
+      positionSinglePlayer(playerData, audioPlayerUIs.indexOf(playerData));
+    }
+  }));
+
+  console.log('🎉 Re-analysis finished');
+}
+
+// Create the player UI for a file and position it without moving the others;
+// a file not analysed yet needs positionQueuedPlayers instead
+function addAudioPlayer(audioFile) {
+  const ui = new AudioPlayerUI(audioManager, 0, 0, 280, 96);
+  const playerData = {
+    ui: ui,
+    audioFile: audioFile,
+    visualPosition: { x: width / 2, y: height / 2 }
+  };
   
-  console.log(`🎉 All audio files processed! (${processingStatus.cached} from cache, ${audioFiles.length - processingStatus.cached} analyzed)`);
+  audioPlayerUIs.push(playerData);
+  
+  // Position ONLY this new element (don't reposition existing ones)
+  positionSinglePlayer(playerData, audioPlayerUIs.length - 1);
+  return playerData;
+}
+
+function removeAudioPlayer(playerData) {
+  if (playerData.audioFile.isPlaying) audioManager.pauseAudio(playerData.audioFile);
+  audioPlayerUIs = audioPlayerUIs.filter(candidate => candidate !== playerData);
+  positionQueuedPlayers();
+}
+
+// Clips waiting for their first analysis sit in rows along the bottom, in
+// dataset order; the ones that don't fit stay off-screen until rows free up.
+// The islands mode keeps them on its shore instead.
+function positionQueuedPlayers() {
+  if (visualMode === 'islands') return;
+  
+  const spacing = 56; // Between minimized clips
+  const rows = 2;
+  const perRow = Math.max(1, Math.floor((width - 40) / spacing));
+  const queued = audioPlayerUIs.filter(playerData => !playerData.audioFile.analysis);
+  queued.forEach((playerData, slot) => {
+    const shown = slot < perRow * rows;
+    const x = shown ? 20 + spacing/2 + (slot % perRow) * spacing : -1000;
+    const y = shown ? height - 100 - Math.floor(slot / perRow) * spacing : -1000;
+    playerData.ui.x = x;
+    playerData.ui.y = y;
+    playerData.visualPosition = shown ? { x, y } : null;
+    playerData.keyMarkers = [];
+  });
 }
 
 // Helper function to yield control back to the browser for UI updates
@@ -354,12 +445,9 @@ function positionSinglePlayer(playerData, index) {
         const gridWidth = availableWidth * 0.8;
         const gridHeight = availableHeight * 0.8;
         
-        // Map tempo to X axis (60-180 BPM range)
-        const tempoNormalized = (analysis.tempo - 60) / 120; // Normalize tempo from 60-180 BPM to 0-1
-        const tempoConstrained = constrain(tempoNormalized, 0, 1); // Ensure it's within 0-1
-        
-        x = centerX + (tempoConstrained - 0.5) * gridWidth;
-        y = centerY - (analysis.mood - 0.5) * gridHeight;
+        // Map the selected fields to the X and Y axes
+        x = centerX + (plotAxisFraction(gridAxes.x, analysis) - 0.5) * gridWidth;
+        y = centerY - (plotAxisFraction(gridAxes.y, analysis) - 0.5) * gridHeight;
         
         // Add random offset on subsequent attempts
         if (attempts > 0) {
@@ -369,7 +457,7 @@ function positionSinglePlayer(playerData, index) {
         
         // Constrain to grid boundaries
         const uiMarginX = playerData.ui.minimized ? 25 : 140;
-        const uiMarginY = playerData.ui.minimized ? 25 : 40;
+        const uiMarginY = playerData.ui.minimized ? 25 : 48;
         x = constrain(x, centerX - gridWidth/2 + uiMarginX, centerX + gridWidth/2 - uiMarginX);
         y = constrain(y, centerY - gridHeight/2 + uiMarginY, centerY + gridHeight/2 - uiMarginY);
         break;
@@ -413,28 +501,66 @@ function positionSinglePlayer(playerData, index) {
         }
         break;
         
+      case 'tuning':
+        const tuningCoords = getTuningCoordinates(analysis, availableWidth, availableHeight);
+        x = centerX + tuningCoords.x;
+        y = centerY + tuningCoords.y;
+        
+        if (attempts > 0) {
+          x += (Math.random() - 0.5) * 80 * attempts;
+          y += (Math.random() - 0.5) * 80 * attempts;
+        }
+        break;
+      
+      case 'islands':
+        // The others move too once drawSongIslands sees the new layout
+        const islandPosition = getIslandLayout().positions.get(playerData);
+        x = centerX + islandPosition.x;
+        y = centerY + islandPosition.y;
+        break;
+      
       default:
         x = 50 + (index % 3) * 300;
         y = 100 + Math.floor(index / 3) * 100;
     }
     
-    // Apply general constraints for song-structure and default
-    if (visualMode === 'song-structure' || visualMode === 'default') {
+    // Apply general constraints for the column views and default
+    if (visualMode === 'song-structure' || visualMode === 'tuning' || visualMode === 'default') {
       const marginX = playerData.ui.minimized ? 30 : 20;
       const marginY = playerData.ui.minimized ? 80 : 100;
-      const bottomMargin = visualMode === 'song-structure' ? 120 : (playerData.ui.minimized ? 50 : 100);
+      const bottomMargin = visualMode !== 'default' ? 120 : (playerData.ui.minimized ? 50 : 100);
       x = constrain(x, marginX, width - (playerData.ui.minimized ? 30 : 300));
       y = constrain(y, marginY, height - bottomMargin);
     }
     
     attempts++;
     
-  } while (checkOverlap(playerData, x, y) && attempts < maxAttempts);
+  } while (visualMode !== 'islands' && checkOverlap(playerData, x, y) && attempts < maxAttempts); // Islands are spaced already
   
   // Set final position
   playerData.ui.x = x;
   playerData.ui.y = y;
   playerData.visualPosition = { x, y };
+  playerData.keyMarkers = getKeyMarkers(analysis, maxRadius);
+}
+
+// Secondary circle-of-fifths markers of a clip, relative to the centre: one
+// in the slice of every other key it spends significant time in, placed by
+// that key's strength like the clip itself. None in other modes or while
+// filtering to one key.
+function getKeyMarkers(analysis, maxRadius) {
+  if (visualMode !== 'circle-of-fifths' || selectedKeyFilter) return [];
+
+  const sliceAngle = TWO_PI / 12;
+  const minRadius = maxRadius * 0.2;
+  const maxRadiusForUI = maxRadius * 0.7;
+  return getSignificantKeys(analysis)
+    .filter(entry => entry.key !== analysis.key)
+    .map(entry => {
+      const angle = essentiaWorker.keyToCirclePosition(entry.key) * sliceAngle - PI/2 + (Math.random() - 0.5) * sliceAngle * 0.8;
+      const radius = minRadius + entry.strength * (maxRadiusForUI - minRadius);
+      return { key: entry.key, share: entry.share, x: cos(angle) * radius, y: sin(angle) * radius };
+    });
 }
 
 function repositionAudioPlayers() {
@@ -452,7 +578,8 @@ function repositionAudioPlayers() {
     const audioFile = playerData.audioFile;
     const analysis = audioFile.analysis;
     
-    if (!analysis) return;
+    // Not analysed yet: on the island shore, or in the queue rows below
+    if (!analysis && visualMode !== 'islands') return;
     
     let x, y;
     let attempts = 0;
@@ -462,17 +589,13 @@ function repositionAudioPlayers() {
     do {
       switch (visualMode) {
         case 'energy-mood':
-          // Map tempo to X axis, mood to Y axis
+          // Map the selected fields (gridAxes) to the X and Y axes
           // Constrain to grid space (80% of available space)
           const gridWidth = availableWidth * 0.8;
           const gridHeight = availableHeight * 0.8;
           
-          // Map tempo to X axis (60-180 BPM range)
-          const tempoNormalized = (analysis.tempo - 60) / 120; // Normalize tempo from 60-180 BPM to 0-1
-          const tempoConstrained = constrain(tempoNormalized, 0, 1); // Ensure it's within 0-1
-          
-          x = centerX + (tempoConstrained - 0.5) * gridWidth;
-          y = centerY - (analysis.mood - 0.5) * gridHeight; // Invert Y for intuitive mapping
+          x = centerX + (plotAxisFraction(gridAxes.x, analysis) - 0.5) * gridWidth;
+          y = centerY - (plotAxisFraction(gridAxes.y, analysis) - 0.5) * gridHeight; // Invert Y for intuitive mapping
           
           // Add small random offset to prevent exact overlaps, but stay within grid
           if (attempts > 0) {
@@ -482,7 +605,7 @@ function repositionAudioPlayers() {
           
           // Always constrain to grid boundaries, accounting for UI element size
           const uiMarginX = playerData.ui.minimized ? 25 : 140; // radius or half width
-          const uiMarginY = playerData.ui.minimized ? 25 : 40;  // radius or half height
+          const uiMarginY = playerData.ui.minimized ? 25 : 48;  // radius or half height
           x = constrain(x, centerX - gridWidth/2 + uiMarginX, centerX + gridWidth/2 - uiMarginX);
           y = constrain(y, centerY - gridHeight/2 + uiMarginY, centerY + gridHeight/2 - uiMarginY);
           break;
@@ -491,7 +614,7 @@ function repositionAudioPlayers() {
           // Check if we're in filtered mode
           if (selectedKeyFilter) {
             // Filter mode: distribute tracks randomly across the full circle area
-            const filteredPlayers = audioPlayerUIs.filter(pd => pd.audioFile.analysis?.key === selectedKeyFilter);
+            const filteredPlayers = audioPlayerUIs.filter(pd => getSignificantKeys(pd.audioFile.analysis).some(entry => entry.key === selectedKeyFilter));
             const indexInFiltered = filteredPlayers.indexOf(playerData);
             
             if (indexInFiltered >= 0 && filteredPlayers.length > 0) {
@@ -543,6 +666,18 @@ function repositionAudioPlayers() {
           y = centerY + structCoords.y;
           break;
           
+        case 'tuning':
+          const tuningCoords = getTuningCoordinates(analysis, availableWidth, availableHeight);
+          x = centerX + tuningCoords.x;
+          y = centerY + tuningCoords.y;
+          break;
+        
+        case 'islands':
+          const islandPosition = getIslandLayout().positions.get(playerData);
+          x = centerX + islandPosition.x;
+          y = centerY + islandPosition.y;
+          break;
+        
         default:
           x = 50 + (index % 3) * 300;
           y = 100 + Math.floor(index / 3) * 100;
@@ -550,23 +685,26 @@ function repositionAudioPlayers() {
       
       // Constrain UI position based on visualization mode
       // For energy-mood and circle-of-fifths, positions are already constrained above
-      // Only apply general canvas constraints for song-structure and default modes
-      if (visualMode === 'song-structure' || visualMode === 'default') {
+      // Only apply general canvas constraints for the column views and default mode
+      if (visualMode === 'song-structure' || visualMode === 'tuning' || visualMode === 'default') {
         const marginX = playerData.ui.minimized ? 30 : 20;
         const marginY = playerData.ui.minimized ? 80 : 100;
-        const bottomMargin = visualMode === 'song-structure' ? 120 : (playerData.ui.minimized ? 50 : 100);
+        const bottomMargin = visualMode !== 'default' ? 120 : (playerData.ui.minimized ? 50 : 100);
         x = constrain(x, marginX, width - (playerData.ui.minimized ? 30 : 300));
         y = constrain(y, marginY, height - bottomMargin);
       }
       
       attempts++;
       
-    } while (checkOverlap(playerData, x, y) && attempts < maxAttempts);
+    } while (visualMode !== 'islands' && checkOverlap(playerData, x, y) && attempts < maxAttempts); // Islands are spaced already
     
     playerData.ui.x = x;
     playerData.ui.y = y;
     playerData.visualPosition = { x, y };
+    playerData.keyMarkers = getKeyMarkers(analysis, maxRadius);
   });
+  
+  positionQueuedPlayers();
 }
 
 // Check if a player would overlap with any existing players at the given position
@@ -611,6 +749,16 @@ function drawLoadingScreen() {
     text(`${processingStatus.cached} files loaded from cache`, width/2, height/2 + 30);
   }
   
+  // Stage and progress of the first file, which the UI waits for
+  const firstFile = audioManager && audioManager.audioFiles[0];
+  if (firstFile && firstFile.analysisProgress) {
+    const progress = firstFile.analysisProgress;
+    drawProgressRing(width/2, height/2 + 90, 40, progress.fraction);
+    fill(colors.textMuted);
+    textSize(14);
+    text(`${firstFile.name}: ${progress.stage} (${Math.round(progress.fraction * 100)}%)`, width/2, height/2 + 135);
+  }
+
   // Loading animation
   const loadingDots = '.'.repeat((frameCount % 60) / 20 + 1);
   text(loadingDots, width/2 + 200, height/2);
@@ -628,7 +776,36 @@ function drawInterface() {
   fill(colors.textMuted);
   const cacheStats = cacheManager ? cacheManager.getCacheStats() : { totalEntries: 0 };
   const analyzedCount = cacheStats.totalEntries;
-  text(`Mode: ${getModeName(visualMode)} | Analyzed: ${analyzedCount}/${audioManager.audioFiles.length}`, 20, height - 30);
+  let statusLine = `Mode: ${getModeName(visualMode)} | Analyzed: ${analyzedCount}/${audioManager.audioFiles.length}`;
+  const poolStats = essentiaWorker.getPoolStats();
+  if (poolStats.busyWorkers > 0 || poolStats.queued > 0) {
+    statusLine += ` | Workers: ${poolStats.busyWorkers}/${poolStats.workers.length} busy, ${poolStats.queued} queued`;
+    
+    // Overall progress of the files being analysed right now
+    const running = essentiaWorker.getQueuedJobs().filter(job => job.state === 'running' && job.progress);
+    if (running.length > 0) {
+      const meanFraction = running.reduce((sum, job) => sum + job.progress.fraction, 0) / running.length;
+      statusLine += ` (${Math.round(meanFraction * 100)}% through current ${running.length === 1 ? running[0].progress.stage : 'files'})`;
+    }
+  }
+  if (poolStats.paused) {
+    statusLine += ' | Paused';
+  }
+  if (processingStatus.cancelled > 0) {
+    statusLine += ` | Cancelled: ${processingStatus.cancelled}`;
+  }
+
+  // Clips whose plotted fields aren't all measured (drawn greyed or hollow)
+  const sources = audioManager.audioFiles.filter(file => file.analysis).map(file => analysisSource(file.analysis));
+  const fallbackCount = sources.filter(source => source === PROVENANCE.FALLBACK).length;
+  const mockCount = sources.filter(source => source === PROVENANCE.MOCK).length;
+  if (fallbackCount > 0) {
+    statusLine += ` | Fallback: ${fallbackCount}`;
+  }
+  if (mockCount > 0) {
+    statusLine += ` | Mock: ${mockCount}`;
+  }
+  text(statusLine, 20, height - 30);
   
   if (audioManager.currentPlayingAudio) {
     text(`♪ Playing: ${audioManager.currentPlayingAudio.name}`, 20, height - 10);
@@ -640,9 +817,11 @@ function drawInterface() {
 
 function getModeName(mode) {
   switch(mode) {
-    case 'energy-mood': return 'Energy/Mood Grid';
+    case 'energy-mood': return `${getPlotAxis(gridAxes.x).label} / ${getPlotAxis(gridAxes.y).label} Grid`;
     case 'circle-of-fifths': return 'Circle of Fifths';
     case 'song-structure': return 'Song Structure Categories';
+    case 'tuning': return 'Tuning Groups';
+    case 'islands': return 'Song Islands';
     default: return 'Unknown';
   }
 }
@@ -662,6 +841,12 @@ function drawVisualizationMode() {
     case 'song-structure':
       drawSongStructure();
       break;
+    case 'tuning':
+      drawCategoryColumns(TUNING_CATEGORIES);
+      break;
+    case 'islands':
+      drawSongIslands();
+      break;
   }
   
   pop();
@@ -678,19 +863,45 @@ function drawEnergyMoodGrid() {
   strokeWeight(1);
   
   // Draw grid axes
-  line(-gridWidth/2, 0, gridWidth/2, 0); // Tempo axis (horizontal)
-  line(0, -gridHeight/2, 0, gridHeight/2); // Mood axis (vertical)
+  line(-gridWidth/2, 0, gridWidth/2, 0); // X axis (horizontal)
+  line(0, -gridHeight/2, 0, gridHeight/2); // Y axis (vertical)
   
   // Grid lines removed - keeping only axes
   
   // Labels (positioned outside the grid)
+  const xAxis = getPlotAxis(gridAxes.x);
+  const yAxis = getPlotAxis(gridAxes.y);
   fill(colors.text);
   textAlign(CENTER);
   textSize(12);
-  text('Slow (60 BPM)', -gridWidth/2 - 70, 0);
-  text('Fast (180 BPM)', gridWidth/2 + 70, 0);
-  text('Sad', 0, gridHeight/2 + 30);
-  text('Happy', 0, -gridHeight/2 - 30);
+  text(xAxis.lowLabel, -gridWidth/2 - 70, 0);
+  text(xAxis.highLabel, gridWidth/2 + 70, 0);
+  text(yAxis.lowLabel, 0, gridHeight/2 + 30);
+  text(yAxis.highLabel, 0, -gridHeight/2 - 30);
+
+  // Axis pickers: click to plot the next field on that axis
+  getGridAxisButtons().forEach(button => {
+    const isHovered = mouseX >= button.x && mouseX <= button.x + button.width && mouseY >= button.y && mouseY <= button.y + button.height;
+    fill(isHovered ? colors.primary : colors.surface);
+    stroke(colors.primary);
+    rect(button.x - width/2, button.y - height/2, button.width, button.height, 4);
+    noStroke();
+    fill(colors.text);
+    text(button.label, button.x - width/2 + button.width/2, button.y - height/2 + 15);
+    if (isHovered) cursor(HAND);
+  });
+}
+
+// Screen rectangles of the grid's X and Y axis pickers (bottom-right and top-left corners)
+function getGridAxisButtons() {
+  const gridWidth = (width - 40) * 0.8;
+  const gridHeight = (height - 120) * 0.8;
+  const buttonWidth = 170;
+  const buttonHeight = 22;
+  return [
+    { axis: 'x', label: `X: ${getPlotAxis(gridAxes.x).label} ⇄`, x: width/2 + gridWidth/2 - buttonWidth, y: height/2 + gridHeight/2 + 15, width: buttonWidth, height: buttonHeight },
+    { axis: 'y', label: `Y: ${getPlotAxis(gridAxes.y).label} ⇄`, x: width/2 - gridWidth/2, y: height/2 - gridHeight/2 - 37, width: buttonWidth, height: buttonHeight }
+  ];
 }
 
 function drawCircleOfFifths() {
@@ -721,10 +932,27 @@ function drawCircleOfFifths() {
   noFill();
   circle(0, 0, maxRadius * 2);
   
-  // Draw key positions with clickable feedback (keep keys at original positions)
-  push();
   const centerX = width / 2;
   const centerY = height / 2;
+
+  // Trails from each clip to the other keys it spends significant time in,
+  // brighter while the clip is hovered or playing
+  audioPlayerUIs.forEach(playerData => {
+    if (!playerData.keyMarkers || playerData.keyMarkers.length === 0) return;
+    const trailColor = color(colors.secondary);
+    trailColor.setAlpha(playerData.ui.isHovered || playerData.audioFile.isPlaying ? 220 : 70);
+    playerData.keyMarkers.forEach(marker => {
+      stroke(trailColor);
+      strokeWeight(1);
+      line(playerData.ui.x - centerX, playerData.ui.y - centerY, marker.x, marker.y);
+      noStroke();
+      fill(trailColor);
+      circle(marker.x, marker.y, 6 + marker.share * 16);
+    });
+  });
+
+  // Draw key positions with clickable feedback (keep keys at original positions)
+  push();
   
   for(let i = 0; i < keys.length; i++) {
     let angle = (i * sliceAngle) - PI/2; // Keys stay at original positions
@@ -768,12 +996,16 @@ function drawCircleOfFifths() {
 }
 
 function drawSongStructure() {
-  // Calculate available space for structure categories
+  drawCategoryColumns(['Hook', 'Verse', 'Pre-Chorus', 'Chorus', 'Outro']);
+}
+
+// Column headers and separators for the category views
+function drawCategoryColumns(categories) {
+  // Calculate available space for the categories
   const availableWidth = width - 40;
   const availableHeight = height - 160; // Leave more space at bottom for UI text
   
-  // Draw 5 categories side by side
-  const categories = ['Hook', 'Verse', 'Pre-Chorus', 'Chorus', 'Outro'];
+  // Draw the categories side by side
   const categoryWidth = availableWidth / categories.length;
   const categoryHeight = 60;
   const headerY = -availableHeight/2 + categoryHeight/2; // Top of the visualization area
@@ -804,11 +1036,189 @@ function drawSongStructure() {
   }
 }
 
+// Layout of the islands mode, relative to the centre: an island per song
+// candidate with a clip on screen, packed in a grid, and a shore along the
+// bottom for clips in no candidate. Rebuilt when the clusters, the clips or
+// the canvas change; positions maps player data to clip positions.
+function getIslandLayout() {
+  const clusters = songClusterer.getClusters();
+  const stamp = `${songClusterer.version}:${audioPlayerUIs.length}:${width}x${height}`;
+  if (islandLayout && islandLayout.stamp === stamp) return islandLayout;
+  
+  const availableWidth = width - 40;
+  const availableHeight = height - 120;
+  const spacing = 56; // Between minimized clips
+  const positions = new Map();
+  
+  // Clips on screen by song candidate, most confident first
+  const members = new Map();
+  const shore = [];
+  audioPlayerUIs.forEach(playerData => {
+    const membership = playerData.audioFile.analysis ? songClusterer.getMembership(playerData.audioFile) : null;
+    if (!membership || membership.cluster.keys.length < 2) {
+      shore.push(playerData);
+      return;
+    }
+    if (!members.has(membership.cluster)) members.set(membership.cluster, []);
+    members.get(membership.cluster).push({ playerData, confidence: membership.confidence });
+  });
+  
+  // Shore: rows of loose clips along the bottom
+  const perRow = Math.max(1, Math.floor(availableWidth / spacing));
+  const shoreRows = Math.min(3, Math.ceil(shore.length / perRow));
+  const shoreHeight = shoreRows > 0 ? shoreRows * spacing + 20 : 0;
+  const shoreTop = availableHeight/2 - shoreHeight;
+  shore.forEach((playerData, i) => {
+    const slot = i % (perRow * shoreRows);
+    positions.set(playerData, {
+      x: -availableWidth/2 + spacing/2 + (slot % perRow) * spacing,
+      y: shoreTop + 20 + spacing/2 + Math.floor(slot / perRow) * spacing
+    });
+  });
+  
+  // Islands: grid cells shaped like the space left, clips in a sunflower
+  // spiral from the centre, room above for the label and below for buttons
+  const islands = clusters.filter(cluster => members.has(cluster)).map(cluster => ({
+    cluster,
+    members: members.get(cluster).sort((a, b) => b.confidence - a.confidence)
+  }));
+  const areaHeight = availableHeight - shoreHeight;
+  const columns = Math.max(1, Math.round(Math.sqrt(islands.length * availableWidth / Math.max(areaHeight, 1))));
+  const rows = Math.ceil(islands.length / columns);
+  const cellWidth = availableWidth / columns;
+  const cellHeight = areaHeight / Math.max(rows, 1);
+  const maxIslandRadius = Math.max(30, Math.min(cellWidth/2 - 10, cellHeight/2 - 26));
+  
+  islands.forEach((island, i) => {
+    const count = island.members.length;
+    const step = Math.min(spacing * 0.9, (maxIslandRadius - 30) / Math.sqrt(count));
+    island.x = -availableWidth/2 + (i % columns + 0.5) * cellWidth;
+    island.y = -availableHeight/2 + (Math.floor(i / columns) + 0.5) * cellHeight;
+    island.radius = Math.min(maxIslandRadius, step * Math.sqrt(count - 1) + 30);
+    island.members.forEach((member, j) => {
+      const angle = j * 2.39996; // Golden angle
+      positions.set(member.playerData, {
+        x: island.x + cos(angle) * step * Math.sqrt(j),
+        y: island.y + sin(angle) * step * Math.sqrt(j)
+      });
+    });
+  });
+  
+  islandLayout = { stamp, islands, shore, shoreTop, positions, applied: false };
+  return islandLayout;
+}
+
+// Islands of the islands mode, labelled with their key and tempo, with a
+// line to each clip as strong as its membership. Called inside the centred
+// translation of drawVisualizationMode.
+function drawSongIslands() {
+  const layout = getIslandLayout();
+  if (!layout.applied) {
+    layout.applied = true;
+    repositionAudioPlayers();
+  }
+  
+  layout.islands.forEach(island => {
+    const isMergeSource = island.cluster.keys.includes(islandMergeSource);
+    fill(colors.surface);
+    stroke(isMergeSource ? colors.accent : colors.primary);
+    strokeWeight(isMergeSource ? 3 : 1);
+    circle(island.x, island.y, island.radius * 2);
+    
+    island.members.forEach(member => {
+      const memberColor = color(colors.secondary);
+      memberColor.setAlpha(40 + member.confidence * 180);
+      stroke(memberColor);
+      strokeWeight(1);
+      line(island.x, island.y, member.playerData.ui.x - width/2, member.playerData.ui.y - height/2);
+    });
+    
+    const cluster = island.cluster;
+    const shown = island.members.length < cluster.keys.length ? ` · ${island.members.length}/${cluster.keys.length} shown` : '';
+    noStroke();
+    fill(colors.text);
+    textAlign(CENTER);
+    textSize(13);
+    text(`${cluster.label} · ${cluster.key} ${cluster.scale} · ${Math.round(cluster.tempo)} BPM${shown}`, island.x, island.y - island.radius - 8);
+  });
+  
+  if (layout.shore.length > 0) {
+    const availableWidth = width - 40;
+    stroke(colors.textMuted);
+    strokeWeight(1);
+    line(-availableWidth/2, layout.shoreTop, availableWidth/2, layout.shoreTop);
+    noStroke();
+    fill(colors.textMuted);
+    textAlign(LEFT);
+    textSize(12);
+    text('No song candidate', -availableWidth/2, layout.shoreTop + 14);
+  }
+  
+  if (islandMergeSource) {
+    const source = layout.islands.find(island => island.cluster.keys.includes(islandMergeSource));
+    fill(colors.accent);
+    textAlign(CENTER);
+    textSize(12);
+    text(`Click ⊕ on another island, or a clip with no song, to merge it into ${source ? source.cluster.label : 'this song'}`, 0, -height/2 + 40);
+  }
+  
+  // Merge, split and reset buttons
+  textSize(11);
+  getIslandButtons().forEach(button => {
+    const isHovered = mouseX >= button.x && mouseX <= button.x + button.width && mouseY >= button.y && mouseY <= button.y + button.height;
+    fill(isHovered ? colors.primary : colors.surface);
+    stroke(colors.primary);
+    strokeWeight(1);
+    rect(button.x - width/2, button.y - height/2, button.width, button.height, 4);
+    noStroke();
+    fill(colors.text);
+    textAlign(CENTER);
+    text(button.label, button.x - width/2 + button.width/2, button.y - height/2 + button.height/2 + 4);
+    if (isHovered) cursor(HAND);
+  });
+}
+
+// Screen rectangles of each island's merge and split buttons (under the
+// island), and of the button forgetting every merge and split
+function getIslandButtons() {
+  const buttons = [];
+  getIslandLayout().islands.forEach(island => {
+    const x = width/2 + island.x;
+    const y = height/2 + island.y + island.radius + 4;
+    buttons.push({ action: 'merge', cluster: island.cluster, label: '⊕ merge', x: x - 62, y, width: 60, height: 18 });
+    buttons.push({ action: 'split', cluster: island.cluster, label: '✂ split', x: x + 2, y, width: 60, height: 18 });
+  });
+  if (songClusterer.hasEdits()) {
+    buttons.push({ action: 'reset', label: 'Undo merges & splits', x: width - 190, y: height - 44, width: 170, height: 22 });
+  }
+  return buttons;
+}
+
+// The first merge click picks an island (clicking it again cancels), the
+// second merges the two
+function handleIslandButton(button) {
+  if (button.action === 'merge' && (!islandMergeSource || button.cluster.keys.includes(islandMergeSource))) {
+    islandMergeSource = islandMergeSource ? null : button.cluster.keys[0];
+    return;
+  }
+  
+  if (button.action === 'merge') {
+    songClusterer.merge(islandMergeSource, button.cluster.keys[0]);
+  } else if (button.action === 'split') {
+    songClusterer.split(button.cluster.keys[0]);
+  } else {
+    songClusterer.clearEdits();
+  }
+  islandMergeSource = null;
+}
+
 function drawAudioPlayers() {
   // Draw all audio player UIs
   // Automatically minimize UIs that are not currently playing
   const currentlyPlayingFile = audioManager.currentPlayingAudio;
   
+  drawRiffMatches();
+
   audioPlayerUIs.forEach(playerData => {
     // Minimize UI if it's not the currently playing audio and not starting playback
     if ((!currentlyPlayingFile || playerData.audioFile !== currentlyPlayingFile) && !playerData.ui.isStartingPlayback) {
@@ -818,9 +1228,136 @@ function drawAudioPlayers() {
     
     playerData.ui.draw(playerData.audioFile);
   });
+
+  drawSimilarityHighlights();
+}
+
+// Rings around the clip the similarity panel shows and its nearest
+// neighbours, numbered by rank, in whichever visual mode
+function drawSimilarityHighlights() {
+  if (!similarityPanel.isOpen()) return;
+
+  audioPlayerUIs.forEach(playerData => {
+    const ui = playerData.ui;
+    const isQuery = playerData.audioFile === similarityPanel.audioFile;
+    const rank = similarityPanel.rankOf(playerData.audioFile);
+    if (!isQuery && rank === 0) return;
+    
+    push();
+    noFill();
+    stroke(isQuery ? colors.primary : colors.accent);
+    strokeWeight(isQuery ? 3 : 2);
+    if (ui.minimized) {
+      circle(ui.x, ui.y, ui.minimizedRadius * 2 + 14);
+    } else {
+      rect(ui.x - 5, ui.y - 5, ui.width + 10, ui.height + 10, 8);
+    }
+    
+    if (rank > 0) {
+      const badgeX = ui.minimized ? ui.x - ui.minimizedRadius * 0.8 : ui.x - 5;
+      const badgeY = ui.minimized ? ui.y - ui.minimizedRadius * 0.8 : ui.y - 5;
+      noStroke();
+      fill(colors.accent);
+      circle(badgeX, badgeY, 16);
+      fill(colors.background);
+      textAlign(CENTER);
+      textSize(10);
+      text(rank, badgeX, badgeY + 4);
+    }
+    pop();
+  });
+}
+
+// Lines between displayed clips that play the same riff, brighter (and
+// closer matches thicker) while either clip is hovered or playing
+function drawRiffMatches() {
+  const edges = riffMatcher.getEdges();
+  if (edges.length === 0) return;
+
+  const playersByKey = new Map(audioPlayerUIs.map(playerData => [cacheManager.generateFileKey(playerData.audioFile), playerData]));
+  edges.forEach(edge => {
+    const a = playersByKey.get(edge.a);
+    const b = playersByKey.get(edge.b);
+    if (!a || !b) return;
+    
+    const active = [a, b].some(playerData => playerData.ui.isHovered || playerData.audioFile.isPlaying);
+    const matchColor = color(colors.accent);
+    matchColor.setAlpha(active ? 200 : 50);
+    stroke(matchColor);
+    strokeWeight(active ? 1 + 2 * (1 - edge.distance / RIFF_MATCH_DISTANCE) : 1);
+    line(a.ui.x, a.ui.y, b.ui.x, b.ui.y);
+  });
+}
+
+// Arc showing fraction (0-1) of a job done, clockwise from 12 o'clock
+function drawProgressRing(x, y, diameter, fraction) {
+  push();
+  noFill();
+  strokeWeight(3);
+  stroke(colors.surface);
+  circle(x, y, diameter);
+  stroke(colors.accent);
+  if (fraction > 0) {
+    arc(x, y, diameter, diameter, -HALF_PI, -HALF_PI + TWO_PI * Math.min(fraction, 1));
+  }
+  pop();
 }
 
 function mousePressed() {
+  // Right-click a clip to list the clips most like it; anywhere else closes the list
+  if (mouseButton === RIGHT) {
+    if (isLoading) return false;
+    const playerData = audioPlayerUIs.find(candidate => candidate.ui.checkHover(mouseX, mouseY));
+    if (playerData && playerData.audioFile.analysis) {
+      similarityPanel.open(playerData.audioFile);
+    } else {
+      similarityPanel.close();
+    }
+    return false;
+  }
+
+  // The analysis queue panel sits above everything else
+  if (!isLoading && analysisQueuePanel.handleClick(mouseX, mouseY)) {
+    return true;
+  }
+
+  if (!isLoading && similarityPanel.handleClick(mouseX, mouseY)) {
+    return true;
+  }
+
+  // Grid axis pickers cycle through PLOT_AXES
+  if (visualMode === 'energy-mood') {
+    const button = getGridAxisButtons().find(candidate => 
+      mouseX >= candidate.x && mouseX <= candidate.x + candidate.width && mouseY >= candidate.y && mouseY <= candidate.y + candidate.height
+    );
+    if (button) {
+      const otherAxis = button.axis === 'x' ? 'y' : 'x';
+      gridAxes[button.axis] = nextPlotAxis(gridAxes[button.axis], gridAxes[otherAxis]);
+      repositionAudioPlayers();
+      return true;
+    }
+  }
+
+  // Island merge, split and reset buttons; with an island picked for
+  // merging, a clip on the shore joins it
+  if (visualMode === 'islands') {
+    const button = getIslandButtons().find(candidate =>
+      mouseX >= candidate.x && mouseX <= candidate.x + candidate.width && mouseY >= candidate.y && mouseY <= candidate.y + candidate.height
+    );
+    if (button) {
+      handleIslandButton(button);
+      return true;
+    }
+    
+    const looseClip = islandMergeSource ? getIslandLayout().shore.find(playerData => playerData.ui.checkHover(mouseX, mouseY)) : null;
+    const looseMembership = looseClip ? songClusterer.getMembership(looseClip.audioFile) : null;
+    if (looseMembership) {
+      songClusterer.merge(islandMergeSource, cacheManager.generateFileKey(looseClip.audioFile));
+      islandMergeSource = null;
+      return true;
+    }
+  }
+  
   // Check if we're in circle-of-fifths mode and clicking on a key
   if (visualMode === 'circle-of-fifths') {
     const centerX = width / 2;
@@ -862,7 +1399,7 @@ function mousePressed() {
       // Check if we clicked on an audio player UI first
       let clickedOnUI = false;
       audioPlayerUIs.forEach(playerData => {
-        if (playerData.ui.handleClick(mouseX, mouseY, playerData.audioFile)) {
+        if (handlePlayerClick(playerData)) {
           clickedOnUI = true;
         }
       });
@@ -884,7 +1421,7 @@ function mousePressed() {
   let handled = false;
   
   audioPlayerUIs.forEach(playerData => {
-    if (playerData.ui.handleClick(mouseX, mouseY, playerData.audioFile)) {
+    if (handlePlayerClick(playerData)) {
       handled = true;
     }
   });
@@ -892,6 +1429,14 @@ function mousePressed() {
   return handled;
 }
 
+// Pass a click to a player; a clicked clip waiting for (re-)analysis jumps the queue
+function handlePlayerClick(playerData) {
+  if (!playerData.ui.handleClick(mouseX, mouseY, playerData.audioFile)) return false;
+  
+  essentiaWorker.prioritize(getAnalysisJobId(playerData.audioFile), ANALYSIS_PRIORITY.CLICKED);
+  return true;
+}
+
 function mouseMoved() {
   // Update hover states
   audioPlayerUIs.forEach(playerData => {
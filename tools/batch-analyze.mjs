@@ -0,0 +1,241 @@
+// batch-analyze.mjs - Analyze a folder of recordings in Node, outside the browser
+//
+// Usage: node tools/batch-analyze.mjs <folder> [--out file.json] [--write-index] [--verbose]
+//
+// Walks <folder> for mp3/wav/flac/ogg/m4a files and runs the same analysis as
+// the app's workers (js/essentia.analysis.js with js/AnalysisPipeline.js). The
+// output is a CacheManager cache file keyed by path relative to <folder>, so
+// point it at the dataset root (or the app's audio/ folder) and the app merges
+// it on start-up from audio/analysis.json. Runs are incremental: files whose
+// size and mtime match the previous output are not analyzed again. Files that
+// fail are left out of the output (and retried next run); the exit code is 1
+// if any did.
+//
+// WAV is decoded in-process; other formats need ffmpeg/ffprobe on the PATH.
+
+import { readFile, writeFile, readdir, stat } from 'fs/promises';
+import { spawn } from 'child_process';
+import { createRequire } from 'module';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import vm from 'vm';
+
+const AUDIO_EXTENSIONS = ['.mp3', '.wav', '.flac', '.ogg', '.m4a'];
+const FFMPEG_FORMATS = AUDIO_EXTENSIONS.filter(extension => extension !== '.wav');
+
+// The Emscripten build in libraries/ expects CommonJS globals when it runs in Node
+globalThis.require = createRequire(import.meta.url);
+globalThis.__dirname = path.dirname(fileURLToPath(new URL('../libraries/essentia-wasm.es.js', import.meta.url)));
+
+const analysis = await import('../js/essentia.analysis.js');
+
+// Evaluate the app's classic scripts in one context, like index.html does, to
+// share their pipeline config, result schema, cache key format and version.
+// The analysis module's shared exports are globals there, as in index.html.
+async function loadBrowserScripts(relativePaths, exportNames) {
+  const sources = await Promise.all(relativePaths.map(relativePath => readFile(new URL(relativePath, import.meta.url), 'utf8')));
+  const { ANALYSIS_SCHEMA_VERSION, FLAT_KEY_NAMES, estimateStructure, generateMockAnalysis } = analysis;
+  const context = {
+    console,
+    localStorage: { getItem: () => null, setItem: () => {}, removeItem: () => {} },
+    ANALYSIS_SCHEMA_VERSION, FLAT_KEY_NAMES, estimateStructure, generateMockAnalysis
+  };
+  return vm.runInNewContext(`${sources.join('\n')}\n({ ${exportNames.join(', ')} })`, context);
+}
+
+function parseArgs(argv) {
+  const options = { folder: null, out: null, writeIndex: false, verbose: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--out') {
+      options.out = argv[++i];
+    } else if (argv[i] === '--write-index') {
+      options.writeIndex = true;
+    } else if (argv[i] === '--verbose') {
+      options.verbose = true;
+    } else {
+      options.folder = argv[i];
+    }
+  }
+  if (options.folder && !options.out) {
+    options.out = path.join(options.folder, 'analysis.json');
+  }
+  return options;
+}
+
+// Audio files under folder, with paths relative to it using '/' like the dataset
+async function findAudioFiles(folder, prefix = '') {
+  const files = [];
+  const entries = await readdir(path.join(folder, prefix), { withFileTypes: true });
+  entries.sort((a, b) => a.name.localeCompare(b.name));
+
+  for (const entry of entries) {
+    const relativePath = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      files.push(...await findAudioFiles(folder, relativePath));
+    } else if (entry.isFile() && AUDIO_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+      const info = await stat(path.join(folder, relativePath));
+      files.push({ name: entry.name, path: relativePath, size: info.size, mtime: Math.round(info.mtimeMs) });
+    }
+  }
+  return files;
+}
+
+// Previous output, so unchanged files can be skipped
+async function loadPreviousOutput(outFile, cacheVersion) {
+  try {
+    const previous = JSON.parse(await readFile(outFile, 'utf8'));
+    if (previous.version === cacheVersion) return previous;
+    console.log(`📦 ${outFile} is from cache version ${previous.version}, re-analyzing everything`);
+  } catch (error) {
+    // No previous run
+  }
+  return { version: cacheVersion, data: {} };
+}
+
+function run(command, args) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+    const chunks = [];
+    let errorOutput = '';
+    child.stdout.on('data', chunk => chunks.push(chunk));
+    child.stderr.on('data', chunk => { errorOutput += chunk; });
+    child.on('error', reject);
+    child.on('close', code => {
+      if (code === 0) {
+        resolve(Buffer.concat(chunks));
+      } else {
+        reject(new Error(`${command} exited with ${code}: ${errorOutput.trim()}`));
+      }
+    });
+  });
+}
+
+// Decode with ffmpeg to interleaved 32-bit float at the analysis rate
+async function decodeWithFfmpeg(filePath) {
+  const probe = await run('ffprobe', ['-v', 'error', '-select_streams', 'a:0', '-show_entries', 'stream=channels', '-of', 'csv=p=0', filePath]);
+  const channelCount = parseInt(probe.toString(), 10) || 1;
+  const sampleRate = analysis.DEFAULT_SAMPLE_RATE;
+  const pcm = await run('ffmpeg', ['-v', 'error', '-i', filePath, '-f', 'f32le', '-ac', String(channelCount), '-ar', String(sampleRate), '-']);
+
+  const interleaved = new Float32Array(pcm.buffer, pcm.byteOffset, Math.floor(pcm.length / 4));
+  const frameCount = Math.floor(interleaved.length / channelCount);
+  const channels = Array.from({ length: channelCount }, (unused, channel) => {
+    const samples = new Float32Array(frameCount);
+    for (let i = 0; i < frameCount; i++) samples[i] = interleaved[i * channelCount + channel];
+    return samples;
+  });
+  return analysis.prepareChannelsForAnalysis(channels, sampleRate);
+}
+
+async function decodeFile(filePath) {
+  if (path.extname(filePath).toLowerCase() === '.wav') {
+    const data = await readFile(filePath);
+    return analysis.decodeWavForAnalysis(data.buffer.slice(data.byteOffset, data.byteOffset + data.length));
+  }
+  return decodeWithFfmpeg(filePath);
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (!options.folder) {
+    console.error('Usage: node tools/batch-analyze.mjs <folder> [--out file.json] [--write-index] [--verbose]');
+    process.exit(1);
+  }
+
+  // The app's modules log every stage; keep the tool's own output readable
+  const log = console.log;
+  if (!options.verbose) console.log = () => {};
+
+  const app = await loadBrowserScripts(
+    ['../js/AnalysisSchema.js', '../js/AnalysisPipeline.js', '../js/CacheManager.js'],
+    ['checkAnalysis', 'analysisSource', 'PROVENANCE', 'ANALYSIS_PIPELINE', 'CacheManager']
+  );
+  const cacheManager = new app.CacheManager();
+
+  const initResult = await analysis.initializeEssentia();
+  if (!initResult.success) {
+    console.error(`❌ Could not initialize Essentia: ${initResult.error}`);
+    process.exit(1);
+  }
+  analysis.configurePipeline(app.ANALYSIS_PIPELINE);
+
+  const files = await findAudioFiles(options.folder);
+  const previous = await loadPreviousOutput(options.out, cacheManager.cacheVersion);
+  previous.data = cacheManager.checkEntries(previous.data).data;
+  const previousByPath = new Map(Object.entries(previous.data).map(([key, entry]) => [entry.path, { key, entry }]));
+  const counts = { analyzed: 0, unchanged: 0, failed: 0 };
+  let ffmpegMissing = false;
+
+  // Start from the previous entries of files that still exist, so an
+  // interrupted run keeps everything done so far
+  const output = { version: cacheManager.cacheVersion, data: {} };
+  files.forEach(file => {
+    const previousFile = previousByPath.get(file.path);
+    if (previousFile) output.data[previousFile.key] = previousFile.entry;
+  });
+  log(`🎵 Found ${files.length} audio files in ${options.folder}`);
+
+  for (const [index, file] of files.entries()) {
+    const key = cacheManager.generateFileKey(file);
+    const prefix = `[${index + 1}/${files.length}] ${file.path}`;
+    const previousFile = previousByPath.get(file.path);
+    
+    if (previousFile && previousFile.entry.size === file.size && previousFile.entry.mtime === file.mtime) {
+      counts.unchanged++;
+      continue;
+    }
+    
+    if (FFMPEG_FORMATS.includes(path.extname(file.name).toLowerCase()) && ffmpegMissing) {
+      counts.failed++;
+      continue;
+    }
+    
+    try {
+      const startTime = Date.now();
+      const audio = await decodeFile(path.join(options.folder, file.path));
+      const result = app.checkAnalysis(await analysis.analyzeAudio(audio.audioBuffer, audio.sampleRate, audio.stereo, {}, audio.channels), file.path);
+      if (!result) throw new Error('analysis failed schema validation');
+      // A mock stands in for an analysis that threw; don't store it, so the
+      // next run tries the file again
+      if (app.analysisSource(result) === app.PROVENANCE.MOCK) throw new Error(result.provenance.key.error || 'analysis failed');
+      if (previousFile) delete output.data[previousFile.key];
+      output.data[key] = {
+        fileName: file.name,
+        path: file.path,
+        size: file.size,
+        mtime: file.mtime,
+        analysis: result,
+        cachedAt: Date.now(),
+        lastAccessed: Date.now()
+      };
+      counts.analyzed++;
+      log(`✅ ${prefix}: ${result.key} ${result.scale}, ${Math.round(result.tempo)} BPM (${((Date.now() - startTime) / 1000).toFixed(1)}s)`);
+    } catch (error) {
+      counts.failed++;
+      if (error.code === 'ENOENT') {
+        ffmpegMissing = true;
+        console.error(`❌ ${prefix}: ffmpeg/ffprobe not found, skipping non-WAV files`);
+      } else {
+        console.error(`❌ ${prefix}: ${error.message}`);
+      }
+    }
+    
+    // Save as we go so an interrupted run keeps its progress
+    await writeFile(options.out, JSON.stringify(output));
+  }
+
+  await writeFile(options.out, JSON.stringify(output));
+  log(`🎉 ${counts.analyzed} analyzed, ${counts.unchanged} unchanged, ${counts.failed} failed → ${options.out}`);
+
+  if (options.writeIndex) {
+    const indexFile = path.join(options.folder, 'index.json');
+    await writeFile(indexFile, JSON.stringify(files.map(file => ({ path: file.path, size: file.size })), null, 2));
+    log(`📝 Wrote ${indexFile}`);
+  }
+  if (counts.failed > 0) process.exitCode = 1;
+}
+
+main().catch(error => {
+  console.error(`❌ Batch analysis failed: ${error.stack || error.message}`);
+  process.exit(1);
+});